@@ -0,0 +1,119 @@
+// Regenerates NotoSansSC-Regular.ttf and NotoSansSC-Bold.ttf from the upstream
+// static instances: npm run fonts:sc -- <NotoSansSC-Regular.ttf> <NotoSansSC-Bold.ttf>
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import subsetFont from "subset-font";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const [regularSource, boldSource] = process.argv.slice(2);
+if (!regularSource || !boldSource) {
+  console.error("Usage: node fonts/NotoSansSC/build.mjs <NotoSansSC-Regular.ttf> <NotoSansSC-Bold.ttf>");
+  process.exit(1);
+}
+
+// GB2312 covers the hanzi in everyday use (both levels, 6763 characters) plus
+// CJK punctuation and fullwidth forms; the zh translations are added on top.
+function buildCharacterSet() {
+  const gb2312 = new TextDecoder("gb18030");
+  const chars = new Set();
+  for (let hi = 0xa1; hi <= 0xf7; hi++) {
+    if (hi > 0xa9 && hi < 0xb0) continue;
+    for (let lo = 0xa1; lo <= 0xfe; lo++) {
+      const char = gb2312.decode(new Uint8Array([hi, lo]));
+      if (char.length === 1 && char !== "�") chars.add(char);
+    }
+  }
+  for (let code = 0x3000; code <= 0x303f; code++) chars.add(String.fromCharCode(code));
+  for (let code = 0xff01; code <= 0xff5e; code++) chars.add(String.fromCharCode(code));
+  return chars;
+}
+
+async function addLocaleCharacters(chars) {
+  const locales = await fs.readFile(path.join(here, "..", "..", "locales.js"), "utf8");
+  for (const char of locales) {
+    if (/[\u3000-\u303F\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/.test(char)) chars.add(char);
+  }
+}
+
+function checksum(bytes) {
+  const padded = Buffer.alloc(Math.ceil(bytes.length / 4) * 4);
+  bytes.copy(padded);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) sum = (sum + padded.readUInt32BE(i)) >>> 0;
+  return sum;
+}
+
+// fontkit's TrueType subsetter (pdf-lib with { subset: true }) drops glyphs whose
+// glyf entries have odd lengths, so every glyph is padded to a 4-byte boundary.
+function padGlyphs(font) {
+  const numTables = font.readUInt16BE(4);
+  const tables = new Map();
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const tag = font.toString("latin1", record, record + 4);
+    const offset = font.readUInt32BE(record + 8);
+    const length = font.readUInt32BE(record + 12);
+    tables.set(tag, Buffer.from(font.subarray(offset, offset + length)));
+  }
+
+  const head = tables.get("head");
+  const glyf = tables.get("glyf");
+  const loca = tables.get("loca");
+  const numGlyphs = tables.get("maxp").readUInt16BE(4);
+  const longLoca = head.readInt16BE(50) === 1;
+  const glyphOffset = (index) => (longLoca ? loca.readUInt32BE(index * 4) : loca.readUInt16BE(index * 2) * 2);
+
+  const glyphs = [];
+  const newLoca = Buffer.alloc((numGlyphs + 1) * 4);
+  let position = 0;
+  for (let index = 0; index < numGlyphs; index++) {
+    const glyph = glyf.subarray(glyphOffset(index), glyphOffset(index + 1));
+    const padded = Buffer.alloc(Math.ceil(glyph.length / 4) * 4);
+    glyph.copy(padded);
+    glyphs.push(padded);
+    newLoca.writeUInt32BE(position, index * 4);
+    position += padded.length;
+  }
+  newLoca.writeUInt32BE(position, numGlyphs * 4);
+  tables.set("glyf", Buffer.concat(glyphs));
+  tables.set("loca", newLoca);
+  head.writeInt16BE(1, 50);
+  head.writeUInt32BE(0, 8);
+
+  const tags = [...tables.keys()].sort();
+  const directory = Buffer.alloc(12 + tags.length * 16);
+  font.copy(directory, 0, 0, 12);
+  const bodies = [];
+  let offset = directory.length;
+  tags.forEach((tag, i) => {
+    const data = tables.get(tag);
+    const record = 12 + i * 16;
+    directory.write(tag, record, "latin1");
+    directory.writeUInt32BE(checksum(data), record + 4);
+    directory.writeUInt32BE(offset, record + 8);
+    directory.writeUInt32BE(data.length, record + 12);
+    const body = Buffer.alloc(Math.ceil(data.length / 4) * 4);
+    data.copy(body);
+    bodies.push(body);
+    offset += body.length;
+  });
+  const output = Buffer.concat([directory, ...bodies]);
+  const headOffset = directory.readUInt32BE(12 + tags.indexOf("head") * 16 + 8);
+  output.writeUInt32BE((0xb1b0afba - checksum(output)) >>> 0, headOffset + 8);
+  return output;
+}
+
+const chars = buildCharacterSet();
+await addLocaleCharacters(chars);
+const text = [...chars].join("");
+
+for (const [source, target] of [
+  [regularSource, "NotoSansSC-Regular.ttf"],
+  [boldSource, "NotoSansSC-Bold.ttf"],
+]) {
+  const subset = await subsetFont(await fs.readFile(source), text, { targetFormat: "truetype" });
+  const output = padGlyphs(Buffer.from(subset));
+  await fs.writeFile(path.join(here, target), output);
+  console.log(`${target}: ${chars.size} characters, ${output.length} bytes`);
+}
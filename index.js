@@ -1,36 +1,51 @@
 import "dotenv/config";
-import { Bot, Keyboard, InlineKeyboard, InputFile } from "grammy";
-import { MongoClient } from "mongodb";
+import { Bot, Keyboard, InlineKeyboard, InputFile, webhookCallback } from "grammy";
+import { GridFSBucket, MongoClient, ObjectId } from "mongodb";
 import { chromium } from "playwright";
-import { PDFDocument } from "pdf-lib";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+// fontkit's bundled shapers (Khmer, among others) expect a global regeneratorRuntime.
+import "regenerator-runtime/runtime.js";
+import fontkit from "@pdf-lib/fontkit";
+import ExcelJS from "exceljs";
 import fs from "node:fs/promises";
+import { createHash, timingSafeEqual } from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import http from "node:http";
 import path from "node:path";
+import { LANGUAGES, MESSAGES } from "./locales.js";
 
 const TIMEZONE = process.env.TIMEZONE || "UTC";
+const DAY_CUTOFF = parseClockTime(process.env.DAY_CUTOFF) ?? { hours: 0, minutes: 0 };
+const PDF_RENDERER = (process.env.PDF_RENDERER || "chromium").toLowerCase();
+const DEFAULT_LANGUAGE = LANGUAGES[process.env.DEFAULT_LANGUAGE] ? process.env.DEFAULT_LANGUAGE : "en";
 const MONGO_URI = process.env.MONGO_URI;
 const MONGO_DB = process.env.MONGO_DB || "calculation_bot";
+// polling (default) or webhook; webhook mode needs WEBHOOK_URL and serves it on PORT,
+// next to /healthz, /readyz and the read-only /api.
+const BOT_MODE = (process.env.BOT_MODE || "polling").toLowerCase();
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const HTTP_PORT =
+  Number(process.env.PORT) || (BOT_MODE === "webhook" || process.env.API_TOKENS ? 8080 : null);
 
 const bot = new Bot(process.env.BOT_TOKEN);
 
 let botUsername = "";
+let dbConnecting = null;
 let calculationCollections = {
   client: null,
   db: null,
   balances: null,
   balanceEvents: null,
   balanceAdmins: null,
+  reportSchedules: null,
+  chatSettings: null,
+  conversations: null,
+  brandingFiles: null,
+  auditLog: null,
+  dayClosings: null,
+  entryConfirmations: null,
+  reportViews: null,
 };
-const pdfDateRequests = new Map();
-bot.api
-  .getMe()
-  .then((me) => {
-    botUsername = me.username ?? "";
-    console.log(`Bot username: ${botUsername}`);
-  })
-  .catch((err) => {
-    console.error("Failed to fetch bot info", err);
-  });
-
 bot.catch((err) => {
   const ctx = err.ctx;
   const e = err.error;
@@ -43,11 +58,98 @@ bot.catch((err) => {
   console.error("Unhandled bot error", err);
 });
 
+// Updates still being handled, so shutdown can let them finish.
+const inFlightUpdates = new Set();
+
+bot.use(async (ctx, next) => {
+  const work = next();
+  inFlightUpdates.add(work);
+  try {
+    await work;
+  } finally {
+    inFlightUpdates.delete(work);
+  }
+});
+
+// The chat's language, timezone, business-day cutoff and report options are kept
+// for the whole update (and anything it awaits), so message and report builders
+// can use them without threading them through.
+const chatContext = new AsyncLocalStorage();
+const CHAT_CONTEXT_CACHE_MS = 60 * 1000;
+const chatContextCache = new Map();
+const DEFAULT_CHAT_CONTEXT = {
+  language: DEFAULT_LANGUAGE,
+  timeZone: TIMEZONE,
+  cutoff: DAY_CUTOFF,
+  enteredBy: false,
+};
+
+function currentChatContext() {
+  return chatContext.getStore() ?? DEFAULT_CHAT_CONTEXT;
+}
+
+function currentLanguage() {
+  return currentChatContext().language;
+}
+
+function currentTimeZone() {
+  return currentChatContext().timeZone;
+}
+
+function currentCutoff() {
+  return currentChatContext().cutoff;
+}
+
+function reportShowsEnteredBy() {
+  return currentChatContext().enteredBy;
+}
+
+function t(key, params = {}) {
+  const template = MESSAGES[currentLanguage()]?.[key] ?? MESSAGES.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+// Every translation of a key, so reply-keyboard labels match in any language.
+function allTranslations(key) {
+  return [...new Set(Object.values(MESSAGES).map((messages) => messages[key]).filter(Boolean))];
+}
+
+function buildChatContext(settings = {}) {
+  return {
+    language: LANGUAGES[settings.language] ? settings.language : DEFAULT_LANGUAGE,
+    timeZone: settings.timezone ?? TIMEZONE,
+    cutoff: parseClockTime(settings.day_cutoff) ?? DAY_CUTOFF,
+    enteredBy: Boolean(settings.report_entered_by),
+  };
+}
+
+async function getChatContext(chatId) {
+  if (!chatId) return DEFAULT_CHAT_CONTEXT;
+  const cached = chatContextCache.get(chatId);
+  if (cached && cached.expiresAt > Date.now()) return cached.context;
+  let context = DEFAULT_CHAT_CONTEXT;
+  try {
+    context = buildChatContext(await getChatSettings(chatId));
+  } catch (err) {
+    console.error("Failed to load chat settings", err);
+  }
+  chatContextCache.set(chatId, { context, expiresAt: Date.now() + CHAT_CONTEXT_CACHE_MS });
+  return context;
+}
+
+function withChatContext(chatId, work) {
+  return getChatContext(chatId).then((context) => chatContext.run(context, work));
+}
+
+bot.use((ctx, next) => withChatContext(ctx.chat?.id, next));
+
 // Helper: allow group only
 function ensureGroup(ctx) {
   const type = ctx.chat?.type;
   if (type === "private") {
-    ctx.reply(withMention(ctx, "Please use this command in a group 🙂"));
+    ctx.reply(withMention(ctx, t("common.groupOnly")));
     return false;
   }
   return true;
@@ -55,45 +157,36 @@ function ensureGroup(ctx) {
 
 // /start
 bot.command("start", async (ctx) => {
-  await ctx.reply(withMention(ctx, "Hi! Try /help or /menu"));
+  await ctx.reply(withMention(ctx, t("start.greeting")));
 });
 
 // /help
 bot.command("help", async (ctx) => {
-  await ctx.reply(
-withMention(ctx, `Commands:
-- /result <number>     (example: /result 21)
-- /menu                (interactive buttons)
-- /calculation          (show report buttons)
-- /report              (full report)
-- /setbalanceadmin      (assign who can use + / - balance)
-- /pdf                  (PDF by date, DDMMYYYY)
-- /ping
-- Balance update: /balance +number or /balance -number (example: /balance +10000)
-- Buttons: View Report shows last 6 entries; View Report (PDF) sends full report
-`)
-  );
+  await ctx.reply(withMention(ctx, t("help.text")));
 });
 
 // /ping
-bot.command("ping", (ctx) => ctx.reply(withMention(ctx, "pong ✅")));
-
-// /result <number>
-bot.command("result", async (ctx) => {
-  if (!ensureGroup(ctx)) return;
+bot.command("ping", (ctx) => ctx.reply(withMention(ctx, t("ping.pong"))));
 
+// /calc <expression> (/result is kept as an alias)
+bot.command(["calc", "result"], async (ctx) => {
   const text = ctx.message?.text ?? "";
   const arg = text.split(" ").slice(1).join(" ").trim();
 
-  if (!arg) return ctx.reply(withMention(ctx, "Usage: /result <number>\nExample: /result 21"));
-
-  const n = Number(arg);
-  if (Number.isNaN(n)) return ctx.reply(withMention(ctx, `"${arg}" is not a number.`));
+  if (!arg) {
+    return ctx.reply(
+      withMention(ctx, t("calc.usage"))
+    );
+  }
 
-  // Your real business logic goes here
-  const result = n * 2;
+  let result;
+  try {
+    result = evaluateExpression(arg);
+  } catch (err) {
+    return ctx.reply(withMention(ctx, t("calc.failed", { expression: arg, reason: err.message })));
+  }
 
-  await ctx.reply(withMention(ctx, `Result: ${result}`));
+  await ctx.reply(withMention(ctx, `🧮 ${arg} = ${formatCalcResult(result)}`));
 });
 
 // /menu with inline buttons
@@ -101,86 +194,169 @@ bot.command("menu", async (ctx) => {
   if (!ensureGroup(ctx)) return;
 
   const kb = new InlineKeyboard()
-    .text("Double 10", "double:10")
-    .text("Double 25", "double:25")
+    .text(t("menu.calculator"), "calc:help")
+    .text(t("menu.viewReport"), "report:view")
     .row()
-    .text("Help", "help");
+    .text(t("menu.help"), "help");
 
-  await ctx.reply(withMention(ctx, "Choose an action:"), { reply_markup: kb });
+  await ctx.reply(withMention(ctx, t("menu.prompt")), { reply_markup: kb });
 });
 
 // Button callbacks
-bot.callbackQuery(/^double:(\d+)$/, async (ctx) => {
-  const num = Number(ctx.match[1]);
-  const result = num * 2;
+bot.callbackQuery("calc:help", async (ctx) => {
+  await ctx.answerCallbackQuery();
+  await ctx.reply(withMention(ctx, t("calc.help")));
+});
 
+bot.callbackQuery("report:view", async (ctx) => {
   await ctx.answerCallbackQuery();
-  await ctx.reply(withMention(ctx, `Result: ${result}`));
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  await sendReport(ctx, { limit: 6 });
 });
 
 bot.callbackQuery("help", async (ctx) => {
   await ctx.answerCallbackQuery();
-  await ctx.reply(withMention(ctx, "Try /result 21 or /menu"));
+  await ctx.reply(withMention(ctx, t("menu.helpHint")));
 });
 
-const replyKeyboard = new Keyboard()
-  .text("View Report")
-  .text("📄 View Report (PDF)")
-  .row()
-  .text("📄 Report PDF by Date")
-  .resized()
-  .persistent();
+function buildReplyKeyboard() {
+  return new Keyboard()
+    .text(t("keyboard.viewReport"))
+    .text(t("keyboard.viewReportPdf"))
+    .row()
+    .text(t("keyboard.reportByDate"))
+    .resized()
+    .persistent();
+}
 
 function mentionUser(ctx) {
   if (ctx.from?.username) return `@${ctx.from.username}`;
   const name = `${ctx.from?.first_name ?? ""} ${ctx.from?.last_name ?? ""}`.trim();
-  return name || "User";
+  return name || t("common.user");
 }
 
 function mentionUserByUser(user) {
   if (user?.username) return `@${user.username}`;
   const name = `${user?.first_name ?? ""} ${user?.last_name ?? ""}`.trim();
-  return name || "User";
+  return name || t("common.user");
 }
 
 function withMention(ctx, message) {
   return `${mentionUser(ctx)} ${message}`;
 }
 
-async function ensureDb() {
-  if (calculationCollections.balanceEvents) return calculationCollections;
+// Concurrent callers share one connection attempt; a failed attempt is retried
+// by the next caller.
+function ensureDb() {
+  if (calculationCollections.balanceEvents) return Promise.resolve(calculationCollections);
+  if (!dbConnecting) {
+    dbConnecting = connectDb().finally(() => {
+      dbConnecting = null;
+    });
+  }
+  return dbConnecting;
+}
+
+async function connectDb() {
   if (!MONGO_URI) {
     throw new Error("MONGO_URI is not set. Please set it in .env");
   }
   const client = new MongoClient(MONGO_URI);
-  await client.connect();
   const db = client.db(MONGO_DB);
-  calculationCollections = {
+  const collections = {
     client,
     db,
     balances: db.collection("user_balances"),
     balanceEvents: db.collection("balance_events"),
     balanceAdmins: db.collection("balance_admins"),
+    reportSchedules: db.collection("report_schedules"),
+    chatSettings: db.collection("chat_settings"),
+    conversations: db.collection("conversations"),
+    brandingFiles: new GridFSBucket(db, { bucketName: "branding" }),
+    auditLog: db.collection("audit_log"),
+    dayClosings: db.collection("day_closings"),
+    entryConfirmations: db.collection("entry_confirmations"),
+    reportViews: db.collection("report_views"),
   };
-  await calculationCollections.balances.createIndex(
-    { chat_id: 1, user_id: 1 },
-    { unique: true }
-  );
-  await calculationCollections.balanceEvents.createIndex({ chat_id: 1, timestamp: 1 });
-  await calculationCollections.balanceEvents.createIndex({ user_id: 1, timestamp: 1 });
-  await calculationCollections.balanceAdmins.createIndex({ chat_id: 1 }, { unique: true });
+  try {
+    await client.connect();
+    await collections.balances.createIndex(
+      { chat_id: 1, user_id: 1 },
+      { unique: true }
+    );
+    await collections.balanceEvents.createIndex({ chat_id: 1, timestamp: 1 });
+    await collections.balanceEvents.createIndex({ user_id: 1, timestamp: 1 });
+    await collections.balanceEvents.createIndex({ chat_id: 1, message_id: 1 });
+    await collections.balanceEvents.createIndex(
+      { chat_id: 1, message_id: 1, source_kind: 1 },
+      { unique: true, partialFilterExpression: { message_id: { $type: "number" } } }
+    );
+    // balance_admins used to hold a single admin per chat; it now holds one
+    // role document per chat member.
+    await collections.balanceAdmins.dropIndex("chat_id_1").catch(() => {});
+    await collections.balanceAdmins.createIndex(
+      { chat_id: 1, user_id: 1 },
+      { unique: true }
+    );
+    await collections.reportSchedules.createIndex(
+      { chat_id: 1, kind: 1 },
+      { unique: true }
+    );
+    await collections.reportSchedules.createIndex({ next_run_at: 1 });
+    await collections.chatSettings.createIndex({ chat_id: 1 }, { unique: true });
+    await collections.conversations.createIndex({ key: 1 }, { unique: true });
+    await collections.conversations.createIndex(
+      { expires_at: 1 },
+      { expireAfterSeconds: 0 }
+    );
+    await collections.auditLog.createIndex({ chat_id: 1, timestamp: -1 });
+    await collections.auditLog.createIndex({ chat_id: 1, actor_id: 1, timestamp: -1 });
+    await collections.dayClosings.createIndex({ chat_id: 1, day: 1 }, { unique: true });
+    await collections.entryConfirmations.createIndex(
+      { chat_id: 1, message_id: 1 },
+      { unique: true, partialFilterExpression: { message_id: { $type: "number" } } }
+    );
+    await collections.entryConfirmations.createIndex({ status: 1, expires_at: 1 });
+    await collections.reportViews.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    // Transactions need a replica set or mongos; a standalone mongod only
+    // gets the non-transactional ledger writes (see withLedgerTransaction).
+    const hello = await db.admin().command({ hello: 1 });
+    collections.transactions = Boolean(hello.setName) || hello.msg === "isdbgrid";
+    if (!collections.transactions) {
+      console.warn(
+        "MongoDB is a standalone server; ledger writes run without transactions. Use a replica set (even a single-node one) to make them atomic."
+      );
+    }
+  } catch (err) {
+    await client.close().catch(() => {});
+    throw err;
+  }
+  calculationCollections = collections;
   return calculationCollections;
 }
 
 function formatTime(ts) {
   const d = new Date(ts);
   if (Number.isNaN(d.getTime())) return ts;
-  const hours = String(d.getHours()).padStart(2, "0");
-  const minutes = String(d.getMinutes()).padStart(2, "0");
-  const seconds = String(d.getSeconds()).padStart(2, "0");
+  const p = getZonedDateParts(d);
+  const hours = String(p.hours).padStart(2, "0");
+  const minutes = String(p.minutes).padStart(2, "0");
+  const seconds = String(p.seconds).padStart(2, "0");
   return `${hours}:${minutes}:${seconds}`;
 }
 
+// HH:MM wall-clock times (schedule runs, business-day cutoff).
+function parseClockTime(value) {
+  const match = String(value ?? "").match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!match) return null;
+  return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
+function formatClockTime({ hours, minutes }) {
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
 function formatAmount(n) {
   const num = Number(n);
   if (Number.isNaN(num)) return "0";
@@ -190,7 +366,7 @@ function formatAmount(n) {
 function formatAmountWithCommas(n) {
   const num = Number(n);
   if (Number.isNaN(num)) return "0";
-  const formatter = new Intl.NumberFormat("en-US", {
+  const formatter = new Intl.NumberFormat(LANGUAGES[currentLanguage()].locale, {
     minimumFractionDigits: Number.isInteger(num) ? 0 : 2,
     maximumFractionDigits: 2,
   });
@@ -200,7 +376,12 @@ function formatAmountWithCommas(n) {
 function displayMemberId(event) {
   if (event.username) return event.username;
   if (event.user_id) return String(event.user_id);
-  return "unknown";
+  return t("common.unknown");
+}
+
+// Who posted the entry; the username is only stored on newer events.
+function displayEnteredBy(event) {
+  return displayMemberId({ username: event.updated_by_username, user_id: event.updated_by });
 }
 
 function formatSignedAmount(n) {
@@ -220,10 +401,7 @@ function formatSignedAmountWithCommas(n) {
 function formatDateDMY(ts) {
   const d = new Date(ts);
   if (Number.isNaN(d.getTime())) return ts;
-  const day = String(d.getDate()).padStart(2, "0");
-  const month = String(d.getMonth() + 1).padStart(2, "0");
-  const year = d.getFullYear();
-  return `${day}/${month}/${year}`;
+  return formatDisplayDay(getZonedDateParts(d));
 }
 
 function parseDDMMYYYY(value) {
@@ -244,55 +422,180 @@ function parseDDMMYYYY(value) {
   return { day, month, year };
 }
 
-function buildDateRangeFromDDMMYYYY(value) {
-  const parsed = parseDDMMYYYY(value);
-  if (!parsed) return null;
-  const display = `${String(parsed.day).padStart(2, "0")}/${String(parsed.month).padStart(
+function formatDayParts({ day, month, year }, separator = "/") {
+  return `${String(day).padStart(2, "0")}${separator}${String(month).padStart(
     2,
     "0"
-  )}/${parsed.year}`;
-  return {
-    display,
-    label: `${parsed.day}${String(parsed.month).padStart(2, "0")}${parsed.year}`,
-  };
+  )}${separator}${year}`;
+}
+
+// Day as shown to people (report headers, captions); formatDayParts stays
+// numeric for file names and period labels.
+function formatDisplayDay({ day, month, year }) {
+  return t("format.date", {
+    day: String(day).padStart(2, "0"),
+    month: String(month).padStart(2, "0"),
+    year,
+  });
+}
+
+// YYYY-MM-DD keys for business days (API output, day closings); they sort as days do.
+function formatIsoDay({ day, month, year }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+function parseIsoDay(value) {
+  const [year, month, day] = String(value).split("-").map(Number);
+  return { day, month, year };
 }
 
-function getTodayLabelInTimezone() {
+function getZonedDateParts(ts, timeZone = currentTimeZone()) {
   const parts = new Intl.DateTimeFormat("en-GB", {
-    timeZone: TIMEZONE,
+    timeZone,
     day: "2-digit",
     month: "2-digit",
     year: "numeric",
-  }).formatToParts(new Date());
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(ts));
   const values = {};
   for (const part of parts) {
-    if (part.type !== "literal") values[part.type] = part.value;
+    if (part.type !== "literal") values[part.type] = Number(part.value);
+  }
+  return {
+    day: values.day,
+    month: values.month,
+    year: values.year,
+    hours: values.hour,
+    minutes: values.minute,
+    seconds: values.second,
+  };
+}
+
+// Converts a wall-clock time in `timeZone` to the matching UTC instant.
+function zonedTimeToUtc({ year, month, day, hours = 0, minutes = 0 }, timeZone = currentTimeZone()) {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  let guess = wallClock;
+  for (let i = 0; i < 2; i += 1) {
+    const p = getZonedDateParts(guess, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds);
+    guess = wallClock - (asUtc - guess);
   }
-  return `${values.day}${values.month}${values.year}`;
+  return new Date(guess);
 }
 
-async function fetchBalanceEvents(chatId, { start, end, dayLabel } = {}) {
-  const { balanceEvents } = await ensureDb();
-  if (dayLabel) {
-    return balanceEvents
-      .aggregate([
-        { $match: { chat_id: chatId } },
-        {
-          $addFields: {
-            day_label: {
-              $dateToString: {
-                format: "%d%m%Y",
-                date: "$timestamp",
-                timezone: TIMEZONE,
-              },
-            },
-          },
-        },
-        { $match: { day_label: dayLabel } },
-        { $sort: { timestamp: 1 } },
-      ])
-      .toArray();
+function addDays({ day, month, year }, count) {
+  const d = new Date(Date.UTC(year, month - 1, day + count));
+  return { day: d.getUTCDate(), month: d.getUTCMonth() + 1, year: d.getUTCFullYear() };
+}
+
+function compareDays(a, b) {
+  return (a.year - b.year) * 10000 + (a.month - b.month) * 100 + (a.day - b.day);
+}
+
+// A business day runs from the cutoff on its date to the cutoff on the next
+// date, so with a 06:00 cutoff an entry at 02:00 belongs to the day before.
+function getBusinessDay(ts, timeZone = currentTimeZone(), cutoff = currentCutoff()) {
+  const { day, month, year, hours, minutes } = getZonedDateParts(ts, timeZone);
+  const beforeCutoff = hours * 60 + minutes < cutoff.hours * 60 + cutoff.minutes;
+  return beforeCutoff ? addDays({ day, month, year }, -1) : { day, month, year };
+}
+
+function getTodayInTimezone(timeZone = currentTimeZone()) {
+  return getBusinessDay(new Date(), timeZone);
+}
+
+function formatTimestampInTimezone(ts, timeZone = currentTimeZone()) {
+  const p = getZonedDateParts(ts, timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hours)}:${pad(p.minutes)}:${pad(
+    p.seconds
+  )}`;
+}
+
+function getDayLabelInTimezone(ts, timeZone = currentTimeZone()) {
+  return formatDisplayDay(getBusinessDay(ts, timeZone));
+}
+
+const MAX_PERIOD_DAYS = 366;
+
+function buildPeriod(from, to = from, timeZone = currentTimeZone(), cutoff = currentCutoff()) {
+  const isRange = compareDays(from, to) !== 0;
+  const display = isRange
+    ? `${formatDisplayDay(from)} - ${formatDisplayDay(to)}`
+    : formatDisplayDay(from);
+  const label = isRange
+    ? `${formatDayParts(from, "")}-${formatDayParts(to, "")}`
+    : formatDayParts(from, "");
+  return {
+    from,
+    to,
+    isRange,
+    display,
+    label,
+    start: zonedTimeToUtc({ ...from, ...cutoff }, timeZone),
+    end: zonedTimeToUtc({ ...addDays(to, 1), ...cutoff }, timeZone),
+  };
+}
+
+function buildTodayPeriod(timeZone = currentTimeZone()) {
+  return buildPeriod(getTodayInTimezone(timeZone), undefined, timeZone);
+}
+
+function buildWeekPeriod(day, timeZone = currentTimeZone()) {
+  const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+  const monday = addDays(day, -((weekday + 6) % 7));
+  return buildPeriod(monday, addDays(monday, 6), timeZone);
+}
+
+function buildMonthPeriod(month, year, timeZone = currentTimeZone()) {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return buildPeriod({ day: 1, month, year }, { day: lastDay, month, year }, timeZone);
+}
+
+// Accepts DDMMYYYY, DDMMYYYY-DDMMYYYY, today, yesterday,
+// week [DDMMYYYY] and month [MMYYYY].
+function parsePeriodArg(value, timeZone = currentTimeZone()) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text) return null;
+  const today = getTodayInTimezone(timeZone);
+  if (text === "today") return buildPeriod(today, undefined, timeZone);
+  if (text === "yesterday") return buildPeriod(addDays(today, -1), undefined, timeZone);
+
+  const [keyword, extra, ...rest] = text.split(/\s+/);
+  if (rest.length) return null;
+  if (keyword === "week") {
+    const day = extra ? parseDDMMYYYY(extra) : today;
+    return day ? buildWeekPeriod(day, timeZone) : null;
+  }
+  if (keyword === "month") {
+    if (!extra) return buildMonthPeriod(today.month, today.year, timeZone);
+    const match = extra.match(/^(\d{2})(\d{4})$/);
+    if (!match) return null;
+    const month = Number(match[1]);
+    if (month < 1 || month > 12) return null;
+    return buildMonthPeriod(month, Number(match[2]), timeZone);
+  }
+  if (extra) return null;
+
+  const rangeMatch = text.match(/^(\d{8})\s*-\s*(\d{8})$/);
+  if (rangeMatch) {
+    const from = parseDDMMYYYY(rangeMatch[1]);
+    const to = parseDDMMYYYY(rangeMatch[2]);
+    if (!from || !to || compareDays(from, to) > 0) return null;
+    const span = (Date.UTC(to.year, to.month - 1, to.day) -
+      Date.UTC(from.year, from.month - 1, from.day)) / 86400000;
+    if (span >= MAX_PERIOD_DAYS) return null;
+    return buildPeriod(from, to, timeZone);
   }
+  const day = parseDDMMYYYY(text);
+  return day ? buildPeriod(day, undefined, timeZone) : null;
+}
+
+async function fetchBalanceEvents(chatId, { start, end } = {}) {
+  const { balanceEvents } = await ensureDb();
   const query = { chat_id: chatId };
   if (start || end) {
     query.timestamp = {};
@@ -308,95 +611,717 @@ function padRight(value, width) {
   return text.padEnd(width, " ");
 }
 
-function buildReportEntryLineText(event) {
+function strikeText(value) {
+  return Array.from(String(value))
+    .map((ch) => (ch.trim() ? `${ch}\u0336` : ch))
+    .join("");
+}
+
+function formatEventNote(event) {
+  return [event.note, event.category ? `#${event.category}` : ""]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function buildReportEntryLineText(event, { running, flagged = false, withDate = false } = {}) {
   const member = padRight(displayMemberId(event), 9);
-  return `${member} ⏱️ ${formatTime(event.timestamp)}  ${formatSignedAmountWithCommas(
-    event.delta
-  )}`;
+  const time = withDate
+    ? `${formatDateDMY(event.timestamp)} ${formatTime(event.timestamp)}`
+    : formatTime(event.timestamp);
+  const amount = formatSignedAmountWithCommas(getEventGross(event));
+  const fee = getEventFee(event);
+  const note = formatEventNote(event);
+  const feeText = fee ? ` ${t("report.feeInline", { fee: formatAmountWithCommas(fee) })}` : "";
+  const enteredBy = reportShowsEnteredBy() ? `  ✍️ ${displayEnteredBy(event)}` : "";
+  const suffix = `${feeText}${enteredBy}${note ? `  ${note}` : ""}${flagged ? " ⚠️" : ""}`;
+  if (isVoidedEvent(event) || isFailedEvent(event)) {
+    const marker = isVoidedEvent(event) ? t("report.voidMarker") : t("report.failedMarker");
+    return `${strikeText(member)} ⏱️ ${strikeText(time)}  ${strikeText(amount)} ${marker}${suffix}`;
+  }
+  const balance = running === undefined ? "" : `  💰 ${formatAmountWithCommas(running)}`;
+  return `${member} ⏱️ ${time}  ${amount}${balance}${suffix}`;
 }
 
-function escapeHtml(value) {
-  return String(value)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/\"/g, "&quot;")
-    .replace(/'/g, "&#39;");
+// Recursive-descent evaluator for + - * / ( ) and %, so amounts never reach eval().
+// "a + b%" and "a - b%" apply b percent of a; any other "b%" is b / 100.
+const CALC_TOKEN_PATTERN = /\s*(?:(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\.\d+)|([-+*/×÷()%]))/y;
+
+function tokenizeExpression(input) {
+  const tokens = [];
+  const text = String(input).trim();
+  CALC_TOKEN_PATTERN.lastIndex = 0;
+  while (CALC_TOKEN_PATTERN.lastIndex < text.length) {
+    const at = CALC_TOKEN_PATTERN.lastIndex;
+    const match = CALC_TOKEN_PATTERN.exec(text);
+    if (!match) throw new Error(`unexpected "${text.slice(at).trim()[0]}"`);
+    if (match[1] !== undefined) {
+      tokens.push({ type: "number", value: Number(match[1].replace(/,/g, "")) });
+    } else {
+      const op = match[2] === "×" ? "*" : match[2] === "÷" ? "/" : match[2];
+      tokens.push({ type: "op", value: op });
+    }
+  }
+  return tokens;
 }
 
-async function buildPdfHtml(events, { useTemplate = false } = {}) {
-  const total = events.reduce((sum, e) => sum + (Number(e.delta) || 0), 0);
-  const reportDate = formatDateDMY(new Date());
-  const logoPath = path.join(process.cwd(), "backgroundlogo.jpg");
-  const pageMargins = useTemplate
-    ? "160px 93px 60px 78px"
-    : "24px";
-  const rows = events
-    .map((e) => {
-      const member = escapeHtml(displayMemberId(e));
-      const time = escapeHtml(formatTime(e.timestamp));
-      const amount = formatSignedAmountWithCommas(e.delta);
-      const amountClass = amount.startsWith("+") ? "pos" : "neg";
-      return `<div class="row"><span class="member">${member}</span><span class="time">⏱️ ${time}</span><span class="amount ${amountClass}">${escapeHtml(amount)}</span></div>`;
-    })
-    .join("");
+function evaluateExpression(input) {
+  const tokens = tokenizeExpression(input);
+  if (!tokens.length) throw new Error("empty expression");
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
 
-  const perMember = new Map();
+  function parsePrimary() {
+    const token = tokens[pos];
+    if (!token) throw new Error("unexpected end of expression");
+    if (token.type === "number") {
+      pos += 1;
+      return token.value;
+    }
+    if (token.value === "(") {
+      pos += 1;
+      const value = parseSum();
+      if (!isOp(")")) throw new Error("missing )");
+      pos += 1;
+      return value;
+    }
+    throw new Error(`unexpected "${token.value}"`);
+  }
+
+  function parseUnary() {
+    if (isOp("-")) {
+      pos += 1;
+      const operand = parseUnary();
+      return { value: -operand.value, percent: operand.percent };
+    }
+    if (isOp("+")) {
+      pos += 1;
+      return parseUnary();
+    }
+    const value = parsePrimary();
+    if (isOp("%")) {
+      pos += 1;
+      return { value, percent: true };
+    }
+    return { value, percent: false };
+  }
+
+  function parseProduct() {
+    const first = parseUnary();
+    let value = first.percent ? first.value / 100 : first.value;
+    let single = true;
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[pos].value;
+      pos += 1;
+      const next = parseUnary();
+      const operand = next.percent ? next.value / 100 : next.value;
+      if (op === "/" && operand === 0) throw new Error("division by zero");
+      value = op === "*" ? value * operand : value / operand;
+      single = false;
+    }
+    return single && first.percent
+      ? { value, percent: first.value, leadingPercent: true }
+      : { value, leadingPercent: first.percent };
+  }
+
+  // A percent only applies to what comes before it (1250*4 + 10%), so a sum
+  // cannot start with one: "+5%" is rejected rather than read as 0.05.
+  function parseSum() {
+    const first = parseProduct();
+    if (first.leadingPercent) throw new Error("a percent needs an amount before it");
+    let value = first.value;
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos].value;
+      pos += 1;
+      const next = parseProduct();
+      const operand = next.percent !== undefined ? (value * next.percent) / 100 : next.value;
+      value = op === "+" ? value + operand : value - operand;
+    }
+    return value;
+  }
+
+  const result = parseSum();
+  if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos].value}"`);
+  if (!Number.isFinite(result)) throw new Error("result is not a finite number");
+  return result;
+}
+
+function formatCalcResult(value) {
+  const rounded = Math.round(value * 1e10) / 1e10;
+  return new Intl.NumberFormat("en-US", { maximumFractionDigits: 10 }).format(rounded);
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+const CATEGORY_PATTERN = /#([\p{L}\p{N}_-]+)/gu;
+
+function normalizeCategory(value) {
+  const text = String(value ?? "").replace(/^#/, "").trim().toLowerCase();
+  return text || null;
+}
+
+// "+10000 deposit from ABA #topup" -> { delta: 10000, note: "deposit from ABA", category: "topup" }
+// The amount may be an expression such as +1250*4 or -(3000+450).
+// Strict mode is for plain chat messages: a note only counts alongside a
+// #category, so "+1 agreed" or "-5 min late" stays ordinary conversation.
+function parseBalanceInput(value, { strict = false } = {}) {
+  const match = String(value ?? "")
+    .trim()
+    .match(/^([+-][\d.,+\-*/×÷()%]+)(?:\s+([\s\S]*))?$/);
+  if (!match) return null;
+  const amountText = match[1];
+  let delta;
+  try {
+    delta = roundAmount(evaluateExpression(amountText));
+  } catch {
+    return null;
+  }
+  const isExpression = !/^[+-][\d.,]+$/.test(amountText);
+  const rest = (match[2] ?? "").trim();
+  const tags = Array.from(rest.matchAll(CATEGORY_PATTERN), (m) => normalizeCategory(m[1]));
+  if (strict && rest && !tags.length) return null;
+  const note = rest.replace(CATEGORY_PATTERN, "").replace(/\s+/g, " ").trim();
+  return {
+    delta,
+    note: note || null,
+    category: tags[0] ?? null,
+    expression: isExpression ? amountText : null,
+  };
+}
+
+function filterEventsByMember(events, memberId) {
+  if (!memberId) return events;
+  return events.filter((e) => String(e.user_id) === String(memberId));
+}
+
+function filterEventsByCategory(events, category) {
+  if (!category) return events;
+  return events.filter((e) => normalizeCategory(e.category) === category);
+}
+
+function summarizeCategories(events) {
+  const uncategorized = t("report.uncategorized");
+  const perCategory = new Map();
+  for (const e of getReportEvents(events)) {
+    if (isVoidedEvent(e) || isFailedEvent(e)) continue;
+    const key = e.category ? `#${e.category}` : uncategorized;
+    if (!perCategory.has(key)) {
+      perCategory.set(key, { category: key, entries: 0, total: 0 });
+    }
+    const entry = perCategory.get(key);
+    entry.entries += 1;
+    entry.total += getEventDelta(e);
+  }
+  const rows = Array.from(perCategory.values());
+  // A lone "(none)" bucket adds nothing over TOTAL.
+  return rows.some((r) => r.category !== uncategorized) ? rows : [];
+}
+
+// Reversal and adjustment events only exist to move balances; reports show
+// the voided or edited original instead. Pending entries get their own section.
+function getReportEvents(events) {
+  return events.filter((e) => !isCorrectionEvent(e) && !isPendingEvent(e));
+}
+
+function getPendingEvents(events) {
+  return events.filter(
+    (e) => !isCorrectionEvent(e) && !isVoidedEvent(e) && isPendingEvent(e)
+  );
+}
+
+function sumReportTotal(events) {
+  return getReportEvents(events)
+    .filter((e) => !isVoidedEvent(e) && !isFailedEvent(e))
+    .reduce((sum, e) => sum + getEventDelta(e), 0);
+}
+
+function sumDeltas(events) {
+  return events.reduce((sum, e) => sum + getEventDelta(e), 0);
+}
+
+// Edited entries keep their original figures for audit and carry the
+// amended ones in current_*.
+function getEventDelta(event) {
+  return Number(event.current_delta ?? event.delta) || 0;
+}
+
+// Entries recorded before fees existed only have a delta.
+function getEventGross(event) {
+  return Number(event.current_gross ?? event.gross ?? getEventDelta(event)) || 0;
+}
+
+function getEventFee(event) {
+  return Number(event.current_fee ?? event.fee) || 0;
+}
+
+function summarizeFees(events) {
+  const counted = getReportEvents(events).filter((e) => !isVoidedEvent(e) && !isFailedEvent(e));
+  const summary = { gross: 0, fees: 0, feesIn: 0, feesOut: 0, entriesWithFee: 0 };
+  for (const e of counted) {
+    const fee = getEventFee(e);
+    summary.gross += getEventGross(e);
+    summary.fees += fee;
+    if (!fee) continue;
+    summary.entriesWithFee += 1;
+    if (getFeeDirection(getEventGross(e)) === "in") summary.feesIn += fee;
+    else summary.feesOut += fee;
+  }
+  return summary;
+}
+
+function hasFees(events) {
+  return events.some((e) => getEventFee(e) !== 0);
+}
+
+function groupEventsByDay(events, timeZone = currentTimeZone()) {
+  const days = new Map();
   for (const e of events) {
+    const label = getDayLabelInTimezone(e.timestamp, timeZone);
+    if (!days.has(label)) days.set(label, []);
+    days.get(label).push(e);
+  }
+  return Array.from(days.entries()).map(([label, dayEvents]) => ({
+    label,
+    events: dayEvents,
+    total: sumReportTotal(dayEvents),
+  }));
+}
+
+function summarizeMembers(events) {
+  const perMember = new Map();
+  for (const e of getReportEvents(events)) {
+    if (isVoidedEvent(e) || isFailedEvent(e)) continue;
     const key = displayMemberId(e);
     if (!perMember.has(key)) {
-      perMember.set(key, { entries: 0, total: 0 });
+      perMember.set(key, { member: key, user_id: e.user_id, entries: 0, total: 0 });
     }
     const entry = perMember.get(key);
     entry.entries += 1;
-    entry.total += Number(e.delta) || 0;
+    entry.total += getEventDelta(e);
   }
-  const memberBlocks = Array.from(perMember.entries())
-    .map(([member, stats], idx) => {
-      const name = escapeHtml(member);
-      return `<div class="member-block">
-  <div class="member-title">${idx + 1}. ${name}</div>
-  <div>Total entries : ${stats.entries}</div>
-  <div>Total amount : ${escapeHtml(formatAmountWithCommas(stats.total))}</div>
-</div>`;
-    })
-    .join("");
+  return Array.from(perMember.values());
+}
 
-  const emojiFontPath = path.join(process.cwd(), "fonts", "NotoColorEmoji-Regular.ttf");
-  const textFontPath = path.join(process.cwd(), "fonts", "Roboto-ExtraBold.ttf");
-  const emojiFontCss = `@font-face { font-family: "NotoColorEmoji"; src: url("file://${emojiFontPath}"); }`;
-  let textFontCss = `@font-face { font-family: "RobotoExtraBold"; src: url("file://${textFontPath}"); font-weight: 800; font-style: normal; }`;
-  try {
-    const textFontBuffer = await fs.readFile(textFontPath);
-    const textFontData = textFontBuffer.toString("base64");
-    textFontCss = `@font-face { font-family: "RobotoExtraBold"; src: url("data:font/ttf;base64,${textFontData}") format("truetype"); font-weight: 800; font-style: normal; }`;
-  } catch {
-    // Fall back to file path if embedding fails.
-  }
+// Balances as reports count them: voided, failed and pending entries never
+// count and edited ones count with their amended figures, which adds up to the
+// stored member balances. The opening balance is everything before `before`.
+async function fetchOpeningBalances(chatId, before, { memberId } = {}) {
+  const rows = await computeLedgerBalances(chatId, { before, memberId });
+  return {
+    total: roundAmount(rows.reduce((sum, row) => sum + row.balance, 0)),
+    members: Object.fromEntries(rows.map((row) => [String(row._id), roundAmount(row.balance)])),
+  };
+}
 
-  let logoDataUri = "";
-  try {
-    const logoBuffer = await fs.readFile(logoPath);
-    logoDataUri = `data:image/jpeg;base64,${logoBuffer.toString("base64")}`;
-  } catch {
-    logoDataUri = "";
+async function fetchDayClosings(chatId, from, to) {
+  const { dayClosings } = await ensureDb();
+  return dayClosings
+    .find({ chat_id: chatId, day: { $gte: formatIsoDay(from), $lte: formatIsoDay(to) } })
+    .sort({ day: 1 })
+    .toArray();
+}
+
+// What a report needs besides its events: opening balances and the closed
+// days it covers, plus the day before, whose closing is its opening.
+async function loadReportLedger(chatId, period, { memberId } = {}) {
+  const [opening, closings] = await Promise.all([
+    fetchOpeningBalances(chatId, period.start, { memberId }),
+    fetchDayClosings(chatId, addDays(period.from, -1), period.to),
+  ]);
+  return { opening, closings, memberId: memberId ?? null };
+}
+
+function getClosedBalance(closing, memberId) {
+  if (!memberId) return closing.closing;
+  const member = closing.members?.find((m) => String(m.user_id) === String(memberId));
+  return member?.closing ?? 0;
+}
+
+function getEventChangedAt(event) {
+  return Math.max(
+    ...[event.timestamp, event.voided_at, event.edited_at, event.status_updated_at]
+      .filter(Boolean)
+      .map((ts) => new Date(ts).getTime())
+  );
+}
+
+// Running balance after each counted entry, per-member opening/closing, the
+// entries changed after their day was closed, and closed days whose frozen
+// closing no longer matches the ledger.
+function summarizeLedger(events, { opening, closings = [], memberId = null }) {
+  const closingsByDay = new Map(closings.map((closing) => [closing.day, closing]));
+  const running = new Map();
+  const flagged = new Set();
+  const members = new Map();
+  const dayBalances = new Map();
+  let balance = opening.total;
+  for (const e of events) {
+    const day = formatIsoDay(getBusinessDay(e.timestamp));
+    const closing = closingsByDay.get(day);
+    if (closing && getEventChangedAt(e) > new Date(closing.closed_at).getTime()) flagged.add(e);
+    if (isCorrectionEvent(e) || isPendingEvent(e)) continue;
+    const key = String(e.user_id);
+    if (!members.has(key)) {
+      const memberOpening = opening.members[key] ?? 0;
+      members.set(key, { opening: memberOpening, closing: memberOpening });
+    }
+    if (isVoidedEvent(e) || isFailedEvent(e)) continue;
+    const delta = getEventDelta(e);
+    const member = members.get(key);
+    member.closing = roundAmount(member.closing + delta);
+    balance = roundAmount(balance + delta);
+    running.set(e, balance);
+    dayBalances.set(day, balance);
   }
+  const balanceAtEndOf = (day) => {
+    let value = opening.total;
+    for (const [balanceDay, dayBalance] of dayBalances) {
+      if (balanceDay > day) break;
+      value = dayBalance;
+    }
+    return value;
+  };
+  const drift = closings
+    .map((closing) => ({
+      day: parseIsoDay(closing.day),
+      closed: getClosedBalance(closing, memberId),
+      current: balanceAtEndOf(closing.day),
+    }))
+    .filter((d) => Math.abs(d.closed - d.current) >= 0.005);
+  return { opening: opening.total, closing: balance, running, flagged, members, drift };
+}
 
-  return `<!doctype html>
-<html>
-  <head>
-    <meta charset="utf-8" />
-    <style>
-      ${emojiFontCss}
-      ${textFontCss}
-      @page {
-        margin: ${pageMargins};
-      }
-      body {
-        font-family: "RobotoExtraBold", "NotoColorEmoji", sans-serif;
-        font-size: 12px;
-        font-weight: 800;
-        margin: 0;
+function buildLedgerDriftText(drift) {
+  return t("report.closedDrift", {
+    day: formatDisplayDay(drift.day),
+    closed: formatAmountWithCommas(drift.closed),
+    current: formatAmountWithCommas(drift.current),
+  });
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function buildPdfRow(e, { withFees = false, summary, rowClass = "row" } = {}) {
+  const member = escapeHtml(displayMemberId(e));
+  const time = escapeHtml(formatTime(e.timestamp));
+  const amount = formatSignedAmountWithCommas(getEventGross(e));
+  const amountClass = amount.startsWith("+") ? "pos" : "neg";
+  const classes = isVoidedEvent(e) || isFailedEvent(e) ? `${rowClass} voided` : rowClass;
+  const note = escapeHtml(`${summary?.flagged.has(e) ? "⚠️ " : ""}${formatEventNote(e)}`);
+  const feeCells = withFees
+    ? `<span class="amount">${escapeHtml(formatAmountWithCommas(getEventFee(e)))}</span><span class="amount">${escapeHtml(formatSignedAmountWithCommas(getEventDelta(e)))}</span>`
+    : "";
+  const running = summary?.running.get(e);
+  const balanceCell = summary
+    ? `<span class="amount">${running === undefined ? "" : escapeHtml(formatAmountWithCommas(running))}</span>`
+    : "";
+  const enteredByCell = reportShowsEnteredBy()
+    ? `<span class="entered-by">✍️ ${escapeHtml(displayEnteredBy(e))}</span>`
+    : "";
+  return `<div class="${classes}"><span class="member">${member}</span><span class="time">⏱️ ${time}</span><span class="amount ${amountClass}">${escapeHtml(amount)}</span>${feeCells}${balanceCell}${enteredByCell}<span class="note">${note}</span></div>`;
+}
+
+function summarizeBalances(balanceDocs) {
+  const rows = [...balanceDocs]
+    .map((doc) => ({ member: displayMemberId(doc), balance: Number(doc.balance) || 0 }))
+    .sort((a, b) => b.balance - a.balance);
+  const positive = rows.filter((r) => r.balance > 0).reduce((sum, r) => sum + r.balance, 0);
+  const negative = rows.filter((r) => r.balance < 0).reduce((sum, r) => sum + r.balance, 0);
+  return { rows, positive, negative, net: positive + negative };
+}
+
+function buildBalanceLines(balanceDocs, { style = "pretty" } = {}) {
+  const { rows, positive, negative, net } = summarizeBalances(balanceDocs);
+  const separator = style === "pretty" ? "────────────────" : "----------";
+  const lines = [
+    style === "pretty" ? `💰 ${t("balances.title")}` : t("balances.title"),
+    "",
+    style === "pretty"
+      ? `📅 ${formatDateDMY(new Date())}`
+      : `${t("report.dateLabel")}: ${formatDateDMY(new Date())}`,
+    separator,
+  ];
+  rows.forEach((row, idx) => {
+    lines.push(
+      `${padRight(`${idx + 1}. ${row.member}`, 14)} ${formatSignedAmountWithCommas(row.balance)}`
+    );
+  });
+  lines.push(
+    separator,
+    `${t("balances.positive")}: ${formatAmountWithCommas(positive)}`,
+    `${t("balances.negative")}: ${formatAmountWithCommas(negative)}`,
+    `${style === "pretty" ? "💵 " : ""}${t("balances.net")}: ${formatAmountWithCommas(net)}`
+  );
+  return lines;
+}
+
+function getDefaultReportTitle() {
+  return `📊 ${t("report.title")}`;
+}
+// Top, right, bottom, left in px; leaves room for the report_template.pdf letterhead.
+const DEFAULT_PAGE_MARGINS = [160, 93, 60, 78];
+
+// Roboto has no Khmer or CJK glyphs; these are added only when a report needs them.
+const KHMER_PATTERN = /[\u1780-\u17FF\u19E0-\u19FF]/;
+const CJK_PATTERN = /[\u3000-\u303F\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]/;
+const SCRIPT_FONTS = [
+  {
+    family: "KantumruyPro",
+    pattern: KHMER_PATTERN,
+    bold: "KantumruyPro/KantumruyPro-Bold.ttf",
+    regular: "KantumruyPro/KantumruyPro-Regular.ttf",
+  },
+  {
+    family: "NotoSansSC",
+    pattern: CJK_PATTERN,
+    bold: "NotoSansSC/NotoSansSC-Bold.ttf",
+    regular: "NotoSansSC/NotoSansSC-Regular.ttf",
+  },
+];
+const fontFileCache = new Map();
+
+function readFontFile(file) {
+  if (!fontFileCache.has(file)) {
+    fontFileCache.set(
+      file,
+      fs.readFile(path.join(process.cwd(), "fonts", file)).catch((err) => {
+        console.warn(`Font ${file} not found, those glyphs will be missing from PDFs.`, err);
+        return null;
+      })
+    );
+  }
+  return fontFileCache.get(file);
+}
+
+async function buildScriptFontCss(text) {
+  const faces = [];
+  for (const scriptFont of SCRIPT_FONTS) {
+    if (!scriptFont.pattern.test(text)) continue;
+    const buffer = await readFontFile(scriptFont.bold);
+    if (!buffer) continue;
+    faces.push(
+      `@font-face { font-family: "${scriptFont.family}"; src: url("data:font/ttf;base64,${buffer.toString("base64")}") format("truetype"); font-weight: 100 900; font-style: normal; }`
+    );
+  }
+  return faces.join("\n");
+}
+
+// Fonts, logo and template are read once per process; restart to pick up changes.
+let pdfAssetsPromise = null;
+
+function loadPdfAssets() {
+  if (!pdfAssetsPromise) {
+    pdfAssetsPromise = (async () => {
+      const emojiFontPath = path.join(process.cwd(), "fonts", "NotoColorEmoji-Regular.ttf");
+      const textFontPath = path.join(process.cwd(), "fonts", "Roboto-ExtraBold.ttf");
+      const regularFontPath = path.join(process.cwd(), "fonts", "Roboto-Regular.ttf");
+      const logoPath = path.join(process.cwd(), "backgroundlogo.jpg");
+      const templatePath = path.join(process.cwd(), "report_template.pdf");
+      const emojiFontCss = `@font-face { font-family: "NotoColorEmoji"; src: url("file://${emojiFontPath}"); }`;
+      let textFontCss = `@font-face { font-family: "RobotoExtraBold"; src: url("file://${textFontPath}"); font-weight: 800; font-style: normal; }`;
+      let textFontBuffer = null;
+      let regularFontBuffer = null;
+      try {
+        regularFontBuffer = await fs.readFile(regularFontPath);
+      } catch {
+        regularFontBuffer = null;
+      }
+      try {
+        textFontBuffer = await fs.readFile(textFontPath);
+        const textFontData = textFontBuffer.toString("base64");
+        textFontCss = `@font-face { font-family: "RobotoExtraBold"; src: url("data:font/ttf;base64,${textFontData}") format("truetype"); font-weight: 800; font-style: normal; }`;
+      } catch {
+        // Fall back to file path if embedding fails.
+      }
+      let logoDataUri = "";
+      try {
+        const logoBuffer = await fs.readFile(logoPath);
+        logoDataUri = `data:image/jpeg;base64,${logoBuffer.toString("base64")}`;
+      } catch {
+        logoDataUri = "";
+      }
+      let templateBuffer = null;
+      try {
+        templateBuffer = await fs.readFile(templatePath);
+      } catch (err) {
+        console.warn("Template PDF not found, using default report PDF.", err);
+      }
+      return {
+        emojiFontCss,
+        textFontCss,
+        logoDataUri,
+        templateBuffer,
+        textFontBuffer,
+        regularFontBuffer,
+      };
+    })();
+  }
+  return pdfAssetsPromise;
+}
+
+async function buildPdfHtml(
+  events,
+  { useTemplate = false, period, balances, branding = {}, ledger } = {}
+) {
+  const total = sumReportTotal(events);
+  const reportDate = period?.display ?? formatDateDMY(new Date());
+  const { textFontCss, emojiFontCss, logoDataUri } = await loadPdfAssets();
+  const pageMargins = branding.margins
+    ? branding.margins.map((px) => `${px}px`).join(" ")
+    : useTemplate
+      ? DEFAULT_PAGE_MARGINS.map((px) => `${px}px`).join(" ")
+      : "24px";
+  const watermark = branding.logoDataUri || (useTemplate ? "" : logoDataUri);
+  const reportTitle = branding.title ?? getDefaultReportTitle();
+  const companyCell = `<span class="company">${escapeHtml(branding.company ?? "")}</span>`;
+  const reportEvents = getReportEvents(events);
+  const withFees = hasFees(events);
+  const feeSummary = summarizeFees(events);
+  const summary = ledger && !balances ? summarizeLedger(events, ledger) : null;
+  const columnOptions = { withBalance: Boolean(summary) };
+  const renderRow = (e) => buildPdfRow(e, { withFees, summary });
+  // Entry columns shrink evenly when they do not all fit; the note keeps 90px.
+  const rowColumns = balances
+    ? "120px 120px 120px 1fr"
+    : `${getEntryColumnWidths(withFees, columnOptions)
+        .map((width) => `minmax(0, ${width / 0.75}px)`)
+        .join(" ")} minmax(90px, 1fr)`;
+  const columnHeader = withFees || summary || reportShowsEnteredBy()
+    ? `<div class="row column-header">${getEntryColumns(withFees, columnOptions)
+        .map(({ label, numeric }) => `<span${numeric ? ' class="amount"' : ""}>${escapeHtml(label)}</span>`)
+        .join("")}</div>`
+    : "";
+  const openingLine = summary
+    ? `<div class="total">🏦 ${escapeHtml(t("report.openingBalance"))}: ${escapeHtml(formatAmountWithCommas(summary.opening))}</div>`
+    : "";
+  const closingLines = summary
+    ? `<div class="total">🏦 ${escapeHtml(t("report.closingBalance"))}: ${escapeHtml(formatAmountWithCommas(summary.closing))}</div>
+    ${summary.drift.map((drift) => `<div class="warning">⚠️ ${escapeHtml(buildLedgerDriftText(drift))}</div>`).join("")}
+    ${summary.flagged.size ? `<div class="warning">⚠️ ${escapeHtml(t("report.changedAfterClose"))}</div>` : ""}`
+    : "";
+  const rows = period?.isRange
+    ? groupEventsByDay(reportEvents)
+        .map(
+          (day) => `<div class="day-title">📅 ${escapeHtml(day.label)}</div>
+    ${day.events.map(renderRow).join("")}
+    <div class="subtotal">${escapeHtml(t("report.subtotal"))}: ${escapeHtml(formatAmountWithCommas(day.total))}</div>`
+        )
+        .join("")
+    : reportEvents.map(renderRow).join("");
+  const pendingEvents = getPendingEvents(events);
+  const pendingRows = pendingEvents
+    .map((e) => buildPdfRow(e, { withFees, summary, rowClass: "row pending" }))
+    .join("");
+  const feeLines = withFees
+    ? `<div>${escapeHtml(t("report.gross"))}: ${escapeHtml(formatAmountWithCommas(feeSummary.gross))}</div>
+    <div>💸 ${escapeHtml(t("report.fees"))}: ${escapeHtml(formatAmountWithCommas(feeSummary.fees))}</div>`
+    : "";
+  const pendingSection = pendingEvents.length
+    ? `<div class="members-title">⏳ ${escapeHtml(t("report.pendingHeading"))}</div>
+    ${pendingRows}
+    <div class="total">⏳ ${escapeHtml(t("report.pendingTotal"))}: ${escapeHtml(formatAmountWithCommas(sumDeltas(pendingEvents)))}</div>`
+    : "";
+
+  const memberBlocks = summarizeMembers(events)
+    .map((stats, idx) => {
+      const name = escapeHtml(stats.member);
+      const memberBalances = summary?.members.get(String(stats.user_id));
+      const balanceLines = memberBalances
+        ? `
+  <div>${escapeHtml(t("report.openingBalance"))} : ${escapeHtml(formatAmountWithCommas(memberBalances.opening))}</div>
+  <div>${escapeHtml(t("report.closingBalance"))} : ${escapeHtml(formatAmountWithCommas(memberBalances.closing))}</div>`
+        : "";
+      return `<div class="member-block">
+  <div class="member-title">${idx + 1}. ${name}</div>
+  <div>${escapeHtml(t("report.totalEntries"))} : ${stats.entries}</div>
+  <div>${escapeHtml(t("report.totalAmount"))} : ${escapeHtml(formatAmountWithCommas(stats.total))}</div>${balanceLines}
+</div>`;
+    })
+    .join("");
+
+  const categories = summarizeCategories(events);
+  const categorySection = categories.length
+    ? `<div class="members-title">🏷️ ${escapeHtml(t("report.categoriesHeading"))}</div>
+    ${categories
+      .map(
+        (c) => `<div class="row"><span class="member">${escapeHtml(c.category)}</span><span class="time">${escapeHtml(t("report.entryCount", { count: c.entries }))}</span><span class="amount">${escapeHtml(formatAmountWithCommas(c.total))}</span></div>`
+      )
+      .join("")}`
+    : "";
+
+  const logBody = `<div class="title-row">
+      <span class="title">${escapeHtml(reportTitle)}</span>
+      <span class="date">📅 ${escapeHtml(reportDate)}</span>
+      ${companyCell}
+    </div>
+    <div class="separator"></div>
+    ${openingLine}
+    ${columnHeader}
+    ${rows}
+    <div class="separator"></div>
+    ${feeLines}
+    <div class="total">💵 ${escapeHtml(t("report.total"))}: ${escapeHtml(formatAmountWithCommas(total))}</div>
+    ${closingLines}
+    ${pendingSection}
+    ${categorySection}
+    <div class="members-title">👥 ${escapeHtml(t(period?.isRange ? "report.membersRange" : "report.membersDaily"))}</div>
+    ${memberBlocks}`;
+
+  let balancesBody = "";
+  if (balances) {
+    const summary = summarizeBalances(balances);
+    const balanceRows = summary.rows
+      .map((row, idx) => {
+        const amount = formatSignedAmountWithCommas(row.balance);
+        const amountClass = row.balance >= 0 ? "pos" : "neg";
+        return `<div class="row"><span class="member">${idx + 1}. ${escapeHtml(row.member)}</span><span></span><span class="amount ${amountClass}">${escapeHtml(amount)}</span></div>`;
+      })
+      .join("");
+    balancesBody = `<div class="title-row">
+      <span class="title">💰 ${escapeHtml(t("balances.title"))}</span>
+      <span class="date">📅 ${escapeHtml(formatDateDMY(new Date()))}</span>
+      ${companyCell}
+    </div>
+    <div class="separator"></div>
+    ${balanceRows}
+    <div class="separator"></div>
+    <div>${escapeHtml(t("balances.positive"))}: ${escapeHtml(formatAmountWithCommas(summary.positive))}</div>
+    <div>${escapeHtml(t("balances.negative"))}: ${escapeHtml(formatAmountWithCommas(summary.negative))}</div>
+    <div class="total">💵 ${escapeHtml(t("balances.net"))}: ${escapeHtml(formatAmountWithCommas(summary.net))}</div>`;
+  }
+
+  const bodyHtml = balances ? balancesBody : logBody;
+  const scriptFontCss = await buildScriptFontCss(bodyHtml);
+
+  return `<!doctype html>
+<html lang="${currentLanguage()}">
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      ${emojiFontCss}
+      ${textFontCss}
+      ${scriptFontCss}
+      @page {
+        margin: ${pageMargins};
+      }
+      .column-header {
+        font-size: 10px;
+        color: #555;
+      }
+      body {
+        font-family: "RobotoExtraBold", "KantumruyPro", "NotoSansSC", "NotoColorEmoji", sans-serif;
+        font-size: 12px;
+        font-weight: 800;
+        margin: 0;
         color: #222;
         background: ${useTemplate ? "transparent" : "#fff"};
         -webkit-font-smoothing: antialiased;
@@ -410,17 +1335,13 @@ async function buildPdfHtml(events, { useTemplate = false } = {}) {
         content: "";
         position: fixed;
         inset: 0;
-        background: ${
-          !useTemplate && logoDataUri
-            ? `url("${logoDataUri}") center/80% no-repeat`
-            : "none"
-        };
+        background: ${watermark ? `url("${watermark}") center/80% no-repeat` : "none"};
         opacity: 0.2;
         z-index: -1;
       }
       .row {
         display: grid;
-        grid-template-columns: 120px 120px 120px;
+        grid-template-columns: ${rowColumns};
         column-gap: 12px;
         line-height: 1.3;
         break-inside: avoid;
@@ -436,18 +1357,34 @@ async function buildPdfHtml(events, { useTemplate = false } = {}) {
       .amount {
         text-align: right;
       }
+      .entered-by {
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      .note {
+        font-size: 10px;
+        color: #555;
+        overflow-wrap: anywhere;
+      }
       .pos { color: #1b7f2a; }
       .neg { color: #b3261e; }
+      .voided span {
+        text-decoration: line-through;
+        opacity: 0.6;
+      }
+      .pending { color: #8a6d00; }
+      .warning { color: #b3261e; margin: 2px 0; }
       .separator {
         border-top: 1px solid #444;
         margin: 8px 0;
       }
       .title {
-        font-family: "NotoColorEmoji", "Courier New", monospace;
+        font-family: "NotoColorEmoji", "Courier New", "KantumruyPro", "NotoSansSC", monospace;
         margin: 0;
       }
       .date {
-        font-family: "NotoColorEmoji", "Courier New", monospace;
+        font-family: "NotoColorEmoji", "Courier New", "KantumruyPro", "NotoSansSC", monospace;
         margin: 0;
       }
       .title-row {
@@ -459,52 +1396,143 @@ async function buildPdfHtml(events, { useTemplate = false } = {}) {
       .title-row .date {
         justify-self: center;
       }
+      .title-row .company {
+        justify-self: end;
+      }
       .total {
-        font-family: "NotoColorEmoji", "Courier New", monospace;
+        font-family: "NotoColorEmoji", "Courier New", "KantumruyPro", "NotoSansSC", monospace;
         margin: 6px 0 12px 0;
       }
       .members-title {
-        font-family: "NotoColorEmoji", "Courier New", monospace;
+        font-family: "NotoColorEmoji", "Courier New", "KantumruyPro", "NotoSansSC", monospace;
         margin: 10px 0 6px 0;
       }
       .member-block { margin: 6px 0 10px 0; }
+      .day-title {
+        font-family: "NotoColorEmoji", "Courier New", "KantumruyPro", "NotoSansSC", monospace;
+        margin: 8px 0 4px 0;
+      }
+      .subtotal {
+        text-align: right;
+        width: 384px;
+        margin: 2px 0 6px 0;
+      }
     </style>
   </head>
   <body>
-    <div class="title-row">
-      <span class="title">📊 TRANSACTION LOG</span>
-      <span class="date">📅 ${escapeHtml(reportDate)}</span>
-      <span></span>
-    </div>
-    <div class="separator"></div>
-    ${rows}
-    <div class="separator"></div>
-    <div class="total">💵 TOTAL: ${escapeHtml(formatAmountWithCommas(total))}</div>
-    <div class="members-title">👥 Members Daily report</div>
-    ${memberBlocks}
+    ${bodyHtml}
   </body>
 </html>`;
 }
 
-async function renderReportPdf(events) {
-  const browser = await chromium.launch();
-  const page = await browser.newPage();
-  const html = await buildPdfHtml(events, { useTemplate: true });
-  await page.setContent(html, { waitUntil: "networkidle" });
-  const buffer = await page.pdf({
-    format: "A4",
-    printBackground: true,
-    omitBackground: true,
-  });
-  await browser.close();
-  const templatePath = path.join(process.cwd(), "report_template.pdf");
-  let templateBuffer;
+// One Chromium for the whole process with a small pool of reusable pages, so
+// a burst of report requests queues instead of launching a browser each.
+const PDF_PAGE_POOL_SIZE = Math.max(1, Number(process.env.PDF_PAGE_POOL_SIZE) || 2);
+let pdfBrowserPromise = null;
+let openPdfPages = 0;
+const idlePdfPages = [];
+const pdfPageWaiters = [];
+
+function getPdfBrowser() {
+  if (!pdfBrowserPromise) {
+    pdfBrowserPromise = chromium
+      .launch()
+      .then((browser) => {
+        browser.on("disconnected", () => {
+          pdfBrowserPromise = null;
+        });
+        return browser;
+      })
+      .catch((err) => {
+        pdfBrowserPromise = null;
+        throw err;
+      });
+  }
+  return pdfBrowserPromise;
+}
+
+async function acquirePdfPage() {
+  for (;;) {
+    const idle = idlePdfPages.pop();
+    if (idle && !idle.isClosed()) return idle;
+    if (idle) {
+      openPdfPages -= 1;
+      continue;
+    }
+    if (openPdfPages < PDF_PAGE_POOL_SIZE) {
+      openPdfPages += 1;
+      try {
+        const browser = await getPdfBrowser();
+        return await browser.newPage();
+      } catch (err) {
+        openPdfPages -= 1;
+        pdfPageWaiters.shift()?.();
+        throw err;
+      }
+    }
+    await new Promise((resolve) => pdfPageWaiters.push(resolve));
+  }
+}
+
+function releasePdfPage(page) {
+  if (page.isClosed()) openPdfPages -= 1;
+  else idlePdfPages.push(page);
+  pdfPageWaiters.shift()?.();
+}
+
+async function closePdfBrowser() {
+  const browserPromise = pdfBrowserPromise;
+  pdfBrowserPromise = null;
+  if (!browserPromise) return;
+  const browser = await browserPromise.catch(() => null);
+  await browser?.close().catch(() => {});
+}
+
+async function renderHtmlToPdf(html) {
+  const page = await acquirePdfPage();
   try {
-    templateBuffer = await fs.readFile(templatePath);
+    await page.setContent(html, { waitUntil: "networkidle" });
+    return await page.pdf({
+      format: "A4",
+      printBackground: true,
+      omitBackground: true,
+    });
   } catch (err) {
-    console.warn("Template PDF not found, using default report PDF.", err);
-    return buffer;
+    // A page that failed mid-render may be in a bad state; don't reuse it.
+    await page.close().catch(() => {});
+    throw err;
+  } finally {
+    releasePdfPage(page);
+  }
+}
+
+// PDF_RENDERER=pdflib skips Chromium entirely; otherwise pdf-lib is the
+// fallback when the browser can't be launched or a render fails.
+async function renderReportPdf(events, { period, balances, branding = {}, ledger } = {}) {
+  let buffer;
+  if (PDF_RENDERER === "pdflib") {
+    buffer = await renderPdfLibContent(events, { period, balances, branding, ledger });
+  } else {
+    try {
+      const html = await buildPdfHtml(events, {
+        useTemplate: true,
+        period,
+        balances,
+        branding,
+        ledger,
+      });
+      buffer = await renderHtmlToPdf(html);
+    } catch (err) {
+      console.warn("Chromium PDF rendering failed, falling back to pdf-lib.", err);
+      buffer = await renderPdfLibContent(events, { period, balances, branding, ledger });
+    }
   }
+  return overlayPdfTemplate(buffer, branding.templateBuffer);
+}
+
+async function overlayPdfTemplate(buffer, chatTemplateBuffer) {
+  const templateBuffer = chatTemplateBuffer ?? (await loadPdfAssets()).templateBuffer;
+  if (!templateBuffer) return buffer;
 
   const templateDoc = await PDFDocument.load(templateBuffer);
   const contentDoc = await PDFDocument.load(buffer);
@@ -526,348 +1554,4345 @@ async function renderReportPdf(events) {
   return Buffer.from(await outputDoc.save());
 }
 
+// pdf-lib backend: the same report as buildPdfHtml, described as a list of
+// blocks and laid out by hand. Sizes mirror the CSS (1px = 0.75pt).
+const PDFLIB_PAGE_SIZE = [595.28, 841.89];
+const PDFLIB_FONT_SIZE = 9;
+const PDFLIB_NOTE_SIZE = 7.5;
+const PDFLIB_LINE_HEIGHT = 1.3;
+const PDFLIB_COLUMN_GAP = 9;
+const PDFLIB_MIN_NOTE_WIDTH = 60;
+const PDFLIB_COLUMNS = [90, 90, 90];
+const ENTRY_COLUMN_WIDTHS = { member: 90, time: 90, gross: 90, balance: 75, enteredBy: 67.5 };
+const ENTRY_FEE_COLUMN_WIDTHS = {
+  ...ENTRY_COLUMN_WIDTHS,
+  member: 82.5,
+  time: 75,
+  gross: 75,
+  fee: 52.5,
+  net: 75,
+};
+const PDFLIB_COLORS = {
+  text: rgb(0.133, 0.133, 0.133),
+  muted: rgb(0.333, 0.333, 0.333),
+  pos: rgb(0.106, 0.498, 0.165),
+  neg: rgb(0.702, 0.149, 0.118),
+  pending: rgb(0.541, 0.427, 0),
+  rule: rgb(0.267, 0.267, 0.267),
+};
 
-function resolveBalanceTarget(ctx) {
-  const repliedUser = ctx.message?.reply_to_message?.from;
-  if (repliedUser?.id) {
-    return repliedUser;
-  }
-  return ctx.from;
+function getEntryColumns(withFees, { withBalance = false } = {}) {
+  const columns = ["member", "time", "gross"];
+  if (withFees) columns.push("fee", "net");
+  if (withBalance) columns.push("balance");
+  if (reportShowsEnteredBy()) columns.push("enteredBy");
+  return [...columns, "note"].map((column) => ({
+    key: column,
+    label: t(`report.column.${column}`),
+    numeric: ["gross", "fee", "net", "balance"].includes(column),
+  }));
 }
 
-async function updateUserBalance(ctx, delta, targetUser = ctx.from) {
-  const chatId = ctx.chat?.id;
-  const userId = targetUser?.id;
-  if (!chatId || !userId) {
-    throw new Error("Missing chat or user info.");
-  }
-  const { balances, balanceEvents } = await ensureDb();
-  const result = await balances.findOneAndUpdate(
-    { chat_id: chatId, user_id: userId },
-    {
-      $inc: { balance: delta },
-      $setOnInsert: {
-        chat_id: chatId,
-        user_id: userId,
-        username: targetUser?.username,
-        name: `${targetUser?.first_name ?? ""} ${targetUser?.last_name ?? ""}`.trim(),
-        created_at: new Date(),
-      },
-      $set: { updated_at: new Date() },
-    },
-    { upsert: true, returnDocument: "after" }
-  );
-  const updated = result.value;
-  await balanceEvents.insertOne({
-    chat_id: chatId,
-    chat_title: ctx.chat?.title,
-    user_id: userId,
-    username: targetUser?.username,
-    name: `${targetUser?.first_name ?? ""} ${targetUser?.last_name ?? ""}`.trim(),
-    timestamp: new Date(),
-    delta,
-    balance: updated?.balance ?? delta,
-    updated_by: ctx.from?.id,
-  });
-  return result.value;
+// Widths in pt of every entry column but the note, which takes the rest.
+function getEntryColumnWidths(withFees, options) {
+  const widths = withFees ? ENTRY_FEE_COLUMN_WIDTHS : ENTRY_COLUMN_WIDTHS;
+  return getEntryColumns(withFees, options)
+    .filter((column) => column.key !== "note")
+    .map((column) => widths[column.key]);
 }
 
-async function getBalanceAdmin(chatId) {
-  const { balanceAdmins } = await ensureDb();
-  return balanceAdmins.findOne({ chat_id: chatId });
+function buildPdfLibRowBlock(e, { withFees = false, summary, color } = {}) {
+  const gross = formatSignedAmountWithCommas(getEventGross(e));
+  const cells = [
+    { text: displayMemberId(e), fit: true },
+    { text: formatTime(e.timestamp) },
+    { text: gross, align: "right", color: color ?? (gross.startsWith("+") ? "pos" : "neg") },
+  ];
+  if (withFees) {
+    cells.push(
+      { text: formatAmountWithCommas(getEventFee(e)), align: "right" },
+      { text: formatSignedAmountWithCommas(getEventDelta(e)), align: "right" }
+    );
+  }
+  if (summary) {
+    const running = summary.running.get(e);
+    cells.push({ text: running === undefined ? "" : formatAmountWithCommas(running), align: "right" });
+  }
+  if (reportShowsEnteredBy()) cells.push({ text: displayEnteredBy(e), fit: true });
+  // pdf-lib fonts have no emoji, so changed-after-close entries get a "*".
+  const note = formatEventNote(e);
+  cells.push({ text: summary?.flagged.has(e) ? `* ${note}` : note, note: true });
+  return {
+    type: "row",
+    columns: getEntryColumnWidths(withFees, { withBalance: Boolean(summary) }),
+    cells,
+    color,
+    struck: isVoidedEvent(e) || isFailedEvent(e),
+  };
 }
 
-async function ensureBalanceAdmin(ctx) {
-  const chatId = ctx.chat?.id;
-  const userId = ctx.from?.id;
-  if (!chatId || !userId) {
-    await ctx.reply(withMention(ctx, "Missing chat or user info."));
-    return false;
+function buildPdfLibBlocks(events, { period, balances, branding = {}, ledger } = {}) {
+  const company = branding.company ?? "";
+  if (balances) {
+    const summary = summarizeBalances(balances);
+    return [
+      { type: "title", text: t("balances.title"), date: formatDateDMY(new Date()), company },
+      { type: "separator" },
+      ...summary.rows.map((row, idx) => ({
+        type: "row",
+        columns: PDFLIB_COLUMNS,
+        cells: [
+          { text: `${idx + 1}. ${row.member}`, fit: true },
+          { text: "" },
+          {
+            text: formatSignedAmountWithCommas(row.balance),
+            align: "right",
+            color: row.balance >= 0 ? "pos" : "neg",
+          },
+        ],
+      })),
+      { type: "separator" },
+      { type: "text", text: `${t("balances.positive")}: ${formatAmountWithCommas(summary.positive)}` },
+      { type: "text", text: `${t("balances.negative")}: ${formatAmountWithCommas(summary.negative)}` },
+      {
+        type: "text",
+        text: `${t("balances.net")}: ${formatAmountWithCommas(summary.net)}`,
+        before: 4.5,
+        after: 9,
+      },
+    ];
   }
-  const admin = await getBalanceAdmin(chatId);
-  if (!admin?.user_id) {
-    await ctx.reply(withMention(ctx, "Balance admin not set. Use /setbalanceadmin as a chat admin."));
-    return false;
+
+  const reportEvents = getReportEvents(events);
+  const withFees = hasFees(events);
+  const ledgerSummary = ledger ? summarizeLedger(events, ledger) : null;
+  const columnOptions = { withBalance: Boolean(ledgerSummary) };
+  const rowOptions = { withFees, summary: ledgerSummary };
+  const blocks = [
+    {
+      type: "title",
+      text: branding.title ?? getDefaultReportTitle(),
+      date: period?.display ?? formatDateDMY(new Date()),
+      company,
+    },
+    { type: "separator" },
+  ];
+  if (ledgerSummary) {
+    blocks.push({
+      type: "text",
+      text: `${t("report.openingBalance")}: ${formatAmountWithCommas(ledgerSummary.opening)}`,
+      after: 4.5,
+    });
   }
-  if (String(admin.user_id) !== String(userId)) {
-    await ctx.reply(withMention(ctx, "Only the balance admin can update balances."));
-    return false;
+  if (withFees || ledgerSummary || reportShowsEnteredBy()) {
+    blocks.push({
+      type: "row",
+      columns: getEntryColumnWidths(withFees, columnOptions),
+      header: true,
+      cells: getEntryColumns(withFees, columnOptions).map(({ label, numeric }) => ({
+        text: label,
+        align: numeric ? "right" : "left",
+      })),
+    });
+  }
+  if (period?.isRange) {
+    for (const day of groupEventsByDay(reportEvents)) {
+      blocks.push(
+        { type: "text", text: day.label, before: 6, after: 3 },
+        ...day.events.map((e) => buildPdfLibRowBlock(e, rowOptions)),
+        {
+          type: "text",
+          text: `${t("report.subtotal")}: ${formatAmountWithCommas(day.total)}`,
+          align: "right",
+          width: 288,
+          before: 1.5,
+          after: 4.5,
+        }
+      );
+    }
+  } else {
+    blocks.push(...reportEvents.map((e) => buildPdfLibRowBlock(e, rowOptions)));
+  }
+  blocks.push({ type: "separator" });
+  if (withFees) {
+    const feeSummary = summarizeFees(events);
+    blocks.push(
+      { type: "text", text: `${t("report.gross")}: ${formatAmountWithCommas(feeSummary.gross)}` },
+      { type: "text", text: `${t("report.fees")}: ${formatAmountWithCommas(feeSummary.fees)}` }
+    );
+  }
+  blocks.push({
+    type: "text",
+    text: `${t("report.total")}: ${formatAmountWithCommas(sumReportTotal(events))}`,
+    before: 4.5,
+    after: ledgerSummary ? 0 : 9,
+  });
+  if (ledgerSummary) {
+    const ledgerLines = [
+      `${t("report.closingBalance")}: ${formatAmountWithCommas(ledgerSummary.closing)}`,
+      ...ledgerSummary.drift.map(buildLedgerDriftText),
+      ...(ledgerSummary.flagged.size ? [`* ${t("report.changedAfterClose")}`] : []),
+    ];
+    blocks.push(
+      ...ledgerLines.map((text, idx) => ({
+        type: "text",
+        text,
+        after: idx === ledgerLines.length - 1 ? 9 : 0,
+      }))
+    );
   }
-  return true;
-}
 
-// Reply keyboard labels
-function buildReportLines(events, { limit, entryFormatter, style = "pretty" } = {}) {
-  const total = events.reduce((sum, e) => sum + (Number(e.delta) || 0), 0);
-  const reportDate = formatDateDMY(new Date());
-  const displayEvents = limit ? events.slice(-limit) : events;
-  const formatEntry = entryFormatter || buildReportEntryLineText;
-  const separator = style === "pretty" ? "────────────────" : "----------";
-  const header = style === "pretty" ? "📊 TRANSACTION LOG" : "TRANSACTION LOG";
-  const dateLine = style === "pretty" ? `📅 ${reportDate}` : `Date: ${reportDate}`;
-  const totalLabel = style === "pretty" ? "💵 TOTAL:" : "TOTAL:";
-  const totalValue =
-    style === "pretty" ? formatAmountWithCommas(total) : formatAmount(total);
-  const lines = [header, "", dateLine, separator];
-  for (const e of displayEvents) {
-    lines.push(formatEntry(e));
+  const pendingEvents = getPendingEvents(events);
+  if (pendingEvents.length) {
+    blocks.push(
+      { type: "text", text: t("report.pendingHeading"), before: 7.5, after: 4.5 },
+      ...pendingEvents.map((e) => buildPdfLibRowBlock(e, { ...rowOptions, color: "pending" })),
+      {
+        type: "text",
+        text: `${t("report.pendingTotal")}: ${formatAmountWithCommas(sumDeltas(pendingEvents))}`,
+        before: 4.5,
+        after: 9,
+      }
+    );
   }
-  lines.push(separator, `${totalLabel} ${totalValue}`);
-  return { lines, total };
-}
 
-async function sendReport(ctx, { limit, asPdf, mentionPrefix } = {}) {
-  if (!ensureGroup(ctx)) return;
-  const chatId = ctx.chat?.id;
-  const todayLabel = getTodayLabelInTimezone();
-  const events = await fetchBalanceEvents(chatId, { dayLabel: todayLabel });
+  const categories = summarizeCategories(events);
+  if (categories.length) {
+    blocks.push(
+      { type: "text", text: t("report.categoriesHeading"), before: 7.5, after: 4.5 },
+      ...categories.map((c) => ({
+        type: "row",
+        columns: PDFLIB_COLUMNS,
+        cells: [
+          { text: c.category, fit: true },
+          { text: t("report.entryCount", { count: c.entries }) },
+          { text: formatAmountWithCommas(c.total), align: "right" },
+        ],
+      }))
+    );
+  }
 
-  const { lines } = buildReportLines(events, {
-    limit,
-    entryFormatter: buildReportEntryLineText,
-    style: "pretty",
+  blocks.push({
+    type: "text",
+    text: t(period?.isRange ? "report.membersRange" : "report.membersDaily"),
+    before: 7.5,
+    after: 4.5,
   });
-  if (asPdf) {
-    const buffer = await renderReportPdf(events);
-    await ctx.replyWithDocument(new InputFile(buffer, "report.pdf"), {
-      caption: mentionPrefix ? withMention(ctx, mentionPrefix) : undefined,
-    });
-    return;
+  summarizeMembers(events).forEach((stats, idx) => {
+    const memberBalances = ledgerSummary?.members.get(String(stats.user_id));
+    const lines = [
+      `${t("report.totalEntries")} : ${stats.entries}`,
+      `${t("report.totalAmount")} : ${formatAmountWithCommas(stats.total)}`,
+    ];
+    if (memberBalances) {
+      lines.push(
+        `${t("report.openingBalance")} : ${formatAmountWithCommas(memberBalances.opening)}`,
+        `${t("report.closingBalance")} : ${formatAmountWithCommas(memberBalances.closing)}`
+      );
+    }
+    blocks.push(
+      { type: "text", text: `${idx + 1}. ${stats.member}`, before: 4.5 },
+      ...lines.map((text, lineIdx) => ({
+        type: "text",
+        text,
+        after: lineIdx === lines.length - 1 ? 7.5 : 0,
+      }))
+    );
+  });
+  return blocks;
+}
+
+// Each style is a stack: Roboto first, then the Khmer and CJK fonts,
+// embedded only when the report contains those scripts.
+async function embedPdfLibFonts(doc, text = "") {
+  const { textFontBuffer, regularFontBuffer } = await loadPdfAssets();
+  doc.registerFontkit(fontkit);
+  const bold = [
+    textFontBuffer
+      ? await doc.embedFont(textFontBuffer, { subset: true })
+      : await doc.embedFont(StandardFonts.HelveticaBold),
+  ];
+  const regular = [
+    regularFontBuffer
+      ? await doc.embedFont(regularFontBuffer, { subset: true })
+      : await doc.embedFont(StandardFonts.Helvetica),
+  ];
+  for (const scriptFont of SCRIPT_FONTS) {
+    if (!scriptFont.pattern.test(text)) continue;
+    const [boldBuffer, regularBuffer] = await Promise.all([
+      readFontFile(scriptFont.bold),
+      readFontFile(scriptFont.regular),
+    ]);
+    if (boldBuffer) bold.push(await doc.embedFont(boldBuffer, { subset: true }));
+    if (regularBuffer) regular.push(await doc.embedFont(regularBuffer, { subset: true }));
   }
-  const text = lines.join("\n");
-  const prefix = mentionPrefix ? `${withMention(ctx, mentionPrefix)}\n` : "";
-  const html = `<pre><b>${escapeHtml(prefix + text)}</b></pre>`;
-  await ctx.reply(html, { reply_markup: replyKeyboard, parse_mode: "HTML" });
+  return { bold, regular };
 }
 
-bot.hears(["View Report", "Vew Report", "🌐 Full Report"], async (ctx) => {
-  await sendReport(ctx, { limit: 6 });
-});
+const fontCharacterSets = new WeakMap();
 
-bot.hears(["📄 View Report (PDF)", "View Report (PDF)"], async (ctx) => {
-  await sendReport(ctx, { asPdf: true });
-});
+function fontSupports(font, ch) {
+  if (!fontCharacterSets.has(font)) fontCharacterSets.set(font, new Set(font.getCharacterSet()));
+  return fontCharacterSets.get(font).has(ch.codePointAt(0));
+}
 
-bot.hears("📄 Report PDF by Date", async (ctx) => {
-  const chatId = ctx.chat?.id;
-  const userId = ctx.from?.id;
-  if (chatId && userId) {
-    pdfDateRequests.set(`${chatId}:${userId}`, Date.now());
+// Splits text into runs drawable with a single font. Characters no font in the
+// stack has a glyph for (emoji, mostly) are dropped so pdf-lib doesn't throw.
+function splitFontRuns(stack, text) {
+  const runs = [];
+  for (const ch of text) {
+    const font = stack.find((candidate) => fontSupports(candidate, ch));
+    if (!font) continue;
+    const last = runs[runs.length - 1];
+    if (last?.font === font) last.text += ch;
+    else runs.push({ font, text: ch });
   }
-  await ctx.reply(withMention(ctx, "Send the date as DDMMYYYY (example: 27122025)"));
-});
+  return runs;
+}
 
-bot.on("message:text", async (ctx, next) => {
-  const chatId = ctx.chat?.id;
-  const userId = ctx.from?.id;
-  if (!chatId || !userId) return next();
-  const key = `${chatId}:${userId}`;
-  const requestedAt = pdfDateRequests.get(key);
-  if (!requestedAt) return next();
-  if (Date.now() - requestedAt > 5 * 60 * 1000) {
-    pdfDateRequests.delete(key);
-    return next();
-  }
+function toFontText(stack, value) {
+  return splitFontRuns(stack, String(value ?? ""))
+    .map((run) => run.text)
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-  const text = ctx.message.text.trim();
-  if (text.startsWith("/")) return next();
-  if (text === "*" || text === "**") return next();
-  const range = buildDateRangeFromDDMMYYYY(text);
-  if (!range) {
-    await ctx.reply(withMention(ctx, "Invalid date. Use DDMMYYYY (example: 27122025)."));
-    return;
-  }
-  pdfDateRequests.delete(key);
-  const events = await fetchBalanceEvents(chatId, {
-    dayLabel: range.label,
-  });
-  if (!events.length) {
-    await ctx.reply(withMention(ctx, "No entries for that date."));
-    return;
+function measureFontText(stack, text, size) {
+  return splitFontRuns(stack, text).reduce(
+    (sum, run) => sum + run.font.widthOfTextAtSize(run.text, size),
+    0
+  );
+}
+
+function fitFontText(stack, text, size, width) {
+  if (measureFontText(stack, text, size) <= width) return text;
+  let fitted = Array.from(text);
+  while (fitted.length && measureFontText(stack, `${fitted.join("")}…`, size) > width) {
+    fitted = fitted.slice(0, -1);
   }
-  const buffer = await renderReportPdf(events);
-  await ctx.replyWithDocument(new InputFile(buffer, `report-${range.label}.pdf`), {
-    caption: withMention(ctx, `Report for ${range.display}`),
-  });
-});
+  return fitted.length ? `${fitted.join("")}…` : "";
+}
 
+function wrapFontText(stack, text, size, width) {
+  if (!text) return [""];
+  const lines = [];
+  let current = "";
+  for (const word of text.split(" ")) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measureFontText(stack, candidate, size) <= width) {
+      current = candidate;
+      continue;
+    }
+    if (current) lines.push(current);
+    // Words wider than the column (and CJK text, which has no spaces) break per character.
+    let chars = Array.from(word);
+    while (chars.length > 1 && measureFontText(stack, chars.join(""), size) > width) {
+      let cut = chars.length - 1;
+      while (cut > 1 && measureFontText(stack, chars.slice(0, cut).join(""), size) > width) cut -= 1;
+      lines.push(chars.slice(0, cut).join(""));
+      chars = chars.slice(cut);
+    }
+    current = chars.join("");
+  }
+  lines.push(current);
+  return lines;
+}
 
-bot.command("calculation", async (ctx) => {
-  if (!ensureGroup(ctx)) return;
-  await ctx.reply(withMention(ctx, "Tap a button to view the report:"), {
-    reply_markup: replyKeyboard,
-  });
-});
+function createPdfLibWriter(doc, fonts, { margins = DEFAULT_PAGE_MARGINS, watermark } = {}) {
+  const [pageWidth, pageHeight] = PDFLIB_PAGE_SIZE;
+  const [top, right, bottom, left] = margins.map((px) => px * 0.75);
+  const contentWidth = pageWidth - left - right;
+  let page = null;
+  let y = 0;
 
-bot.command("setbalanceadmin", async (ctx) => {
-  if (!ensureGroup(ctx)) return;
-  const chatId = ctx.chat?.id;
-  const fromId = ctx.from?.id;
-  if (!chatId || !fromId) return;
+  const ensureSpace = (height) => {
+    if (page && y - height >= bottom) return;
+    page = doc.addPage(PDFLIB_PAGE_SIZE);
+    y = pageHeight - top;
+    if (watermark) {
+      const { width, height: imageHeight } = watermark.scaleToFit(pageWidth * 0.8, pageHeight * 0.8);
+      page.drawImage(watermark, {
+        x: (pageWidth - width) / 2,
+        y: (pageHeight - imageHeight) / 2,
+        width,
+        height: imageHeight,
+        opacity: 0.2,
+      });
+    }
+  };
 
-  try {
-    const member = await ctx.api.getChatMember(chatId, fromId);
-    const isAdmin =
-      member.status === "creator" || member.status === "administrator";
-    if (!isAdmin) {
-      await ctx.reply(withMention(ctx, "Only chat admins can set the balance admin."));
-      return;
+  const drawLine = (text, { x, width, size, font, color, align = "left", struck, lineTop }) => {
+    if (!text) return;
+    const runs = splitFontRuns(font, text);
+    const textWidth = measureFontText(font, text, size);
+    const textX = align === "right" ? x + width - textWidth : align === "center" ? x + (width - textWidth) / 2 : x;
+    const baseline = lineTop - size * PDFLIB_LINE_HEIGHT * 0.78;
+    const opacity = struck ? 0.6 : 1;
+    let runX = textX;
+    for (const run of runs) {
+      page.drawText(run.text, { x: runX, y: baseline, size, font: run.font, color, opacity });
+      runX += run.font.widthOfTextAtSize(run.text, size);
     }
-  } catch (err) {
-    console.error("Failed to verify admin status", err);
-    await ctx.reply(withMention(ctx, "Could not verify admin status. Please try again."));
-    return;
-  }
+    if (struck) {
+      page.drawLine({
+        start: { x: textX, y: baseline + size * 0.3 },
+        end: { x: textX + textWidth, y: baseline + size * 0.3 },
+        thickness: 0.6,
+        color,
+        opacity,
+      });
+    }
+  };
 
-  let target = null;
-  if (ctx.message?.reply_to_message?.from?.id) {
-    target = ctx.message.reply_to_message.from;
-  } else if (ctx.message?.entities) {
-    const mention = ctx.message.entities.find((e) => e.type === "text_mention");
-    if (mention?.user) target = mention.user;
-  }
+  const writeText = (block) => {
+    const font = fonts.bold;
+    const lines = wrapFontText(font, toFontText(font, block.text), PDFLIB_FONT_SIZE, contentWidth);
+    const lineHeight = PDFLIB_FONT_SIZE * PDFLIB_LINE_HEIGHT;
+    ensureSpace((block.before ?? 0) + lines.length * lineHeight);
+    y -= block.before ?? 0;
+    for (const line of lines) {
+      drawLine(line, {
+        x: left,
+        width: block.width ?? contentWidth,
+        size: PDFLIB_FONT_SIZE,
+        font,
+        color: PDFLIB_COLORS.text,
+        align: block.align,
+        lineTop: y,
+      });
+      y -= lineHeight;
+    }
+    y -= block.after ?? 0;
+  };
 
+  const writeRow = (block) => {
+    const hasNote = block.cells.length > block.columns.length;
+    const fixed = block.columns.reduce((sum, width) => sum + width, 0);
+    // Entry rows with many columns shrink evenly so the note keeps some room.
+    const room = contentWidth - PDFLIB_COLUMN_GAP * block.columns.length - PDFLIB_MIN_NOTE_WIDTH;
+    const scale = hasNote && fixed > room ? room / fixed : 1;
+    const widths = block.columns.map((width) => width * scale);
+    if (hasNote) {
+      widths.push(Math.max(contentWidth - fixed * scale - PDFLIB_COLUMN_GAP * widths.length, 40));
+    }
+    const cells = block.cells.map((cell, idx) => {
+      const small = cell.note || block.header;
+      const font = small ? fonts.regular : fonts.bold;
+      const size = small ? PDFLIB_NOTE_SIZE : PDFLIB_FONT_SIZE;
+      const text = toFontText(font, cell.text);
+      const lines = cell.fit
+        ? [fitFontText(font, text, size, widths[idx])]
+        : cell.note
+          ? wrapFontText(font, text, size, widths[idx])
+          : [text];
+      const colorKey = block.header || cell.note ? "muted" : cell.color ?? block.color ?? "text";
+      return { ...cell, font, size, lines, color: PDFLIB_COLORS[colorKey] };
+    });
+    const rowHeight = Math.max(
+      ...cells.map((cell) => cell.lines.length * cell.size * PDFLIB_LINE_HEIGHT),
+      PDFLIB_FONT_SIZE * PDFLIB_LINE_HEIGHT
+    );
+    ensureSpace(rowHeight);
+    let x = left;
+    cells.forEach((cell, idx) => {
+      cell.lines.forEach((line, lineIdx) => {
+        drawLine(line, {
+          x,
+          width: widths[idx],
+          size: cell.size,
+          font: cell.font,
+          color: cell.color,
+          align: cell.align,
+          struck: block.struck,
+          lineTop: y - lineIdx * cell.size * PDFLIB_LINE_HEIGHT,
+        });
+      });
+      x += widths[idx] + PDFLIB_COLUMN_GAP;
+    });
+    y -= rowHeight;
+  };
+
+  return {
+    write(block) {
+      if (block.type === "separator") {
+        ensureSpace(12);
+        y -= 6;
+        page.drawLine({
+          start: { x: left, y },
+          end: { x: left + contentWidth, y },
+          thickness: 0.75,
+          color: PDFLIB_COLORS.rule,
+        });
+        y -= 6;
+        return;
+      }
+      if (block.type === "title") {
+        const lineHeight = PDFLIB_FONT_SIZE * PDFLIB_LINE_HEIGHT;
+        ensureSpace(lineHeight + 4.5);
+        const font = fonts.bold;
+        const style = { size: PDFLIB_FONT_SIZE, font, color: PDFLIB_COLORS.text, lineTop: y };
+        drawLine(toFontText(font, block.text), { ...style, x: left, width: contentWidth });
+        drawLine(toFontText(font, block.date), {
+          ...style,
+          x: left,
+          width: contentWidth,
+          align: "center",
+        });
+        drawLine(fitFontText(font, toFontText(font, block.company), style.size, contentWidth / 3), {
+          ...style,
+          x: left,
+          width: contentWidth,
+          align: "right",
+        });
+        y -= lineHeight + 4.5;
+        return;
+      }
+      if (block.type === "row") {
+        writeRow(block);
+        return;
+      }
+      writeText(block);
+    },
+  };
+}
+
+async function embedPdfLibWatermark(doc, logo) {
+  if (!logo) return null;
+  try {
+    return logo.mime === "image/png" ? await doc.embedPng(logo.buffer) : await doc.embedJpg(logo.buffer);
+  } catch (err) {
+    console.warn("Failed to embed chat logo, rendering without watermark.", err);
+    return null;
+  }
+}
+
+async function renderPdfLibContent(events, { period, balances, branding = {}, ledger } = {}) {
+  const doc = await PDFDocument.create();
+  const blocks = buildPdfLibBlocks(events, { period, balances, branding, ledger });
+  const writer = createPdfLibWriter(doc, await embedPdfLibFonts(doc, JSON.stringify(blocks)), {
+    margins: branding.margins ?? DEFAULT_PAGE_MARGINS,
+    watermark: await embedPdfLibWatermark(doc, branding.logo),
+  });
+  for (const block of blocks) {
+    writer.write(block);
+  }
+  if (!doc.getPageCount()) doc.addPage(PDFLIB_PAGE_SIZE);
+  return Buffer.from(await doc.save());
+}
+
+// Identical requests for the same chat share one render, and PDFs of closed
+// periods are kept until their events change (the fingerprint covers every
+// field of every event, so voids, edits and status changes all invalidate).
+const PDF_CACHE_LIMIT = 50;
+const pdfRenderJobs = new Map();
+const pdfCache = new Map();
+
+function fingerprintPdfInput(events, balances, branding, ledger) {
+  return createHash("sha1")
+    .update(
+      JSON.stringify({
+        events,
+        balances,
+        ledger,
+        branding: branding.fingerprint,
+        ...currentChatContext(),
+      })
+    )
+    .digest("hex");
+}
+
+function isClosedPeriod(period) {
+  return Boolean(period?.end) && period.end.getTime() <= Date.now();
+}
+
+function rememberPdf(cacheKey, fingerprint, buffer) {
+  pdfCache.delete(cacheKey);
+  pdfCache.set(cacheKey, { fingerprint, buffer });
+  while (pdfCache.size > PDF_CACHE_LIMIT) {
+    pdfCache.delete(pdfCache.keys().next().value);
+  }
+}
+
+async function withChatAction(chatId, action, work) {
+  const send = () => bot.api.sendChatAction(chatId, action).catch(() => {});
+  send();
+  const timer = setInterval(send, 4500);
+  try {
+    return await work();
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+// scope and title let other views (history, search) keep their own cache
+// entries and heading instead of the report's. quiet skips the "sending a
+// file" chat action for renders that do not end up in the chat (the API).
+async function renderChatPdf(
+  chatId,
+  events,
+  { period, balances, memberId, ledger, scope, title, quiet = false } = {}
+) {
+  const cacheScope = scope ?? (balances ? "balances" : period?.label ?? "report");
+  const cacheKey = `${chatId}:${cacheScope}:${memberId ?? "all"}`;
+  const chatBranding = await loadChatBranding(chatId);
+  const branding = title ? { ...chatBranding, title } : chatBranding;
+  const fingerprint = fingerprintPdfInput(events, balances, branding, ledger);
+  const cacheable = !balances && isClosedPeriod(period);
+  const cached = pdfCache.get(cacheKey);
+  if (cacheable && cached) {
+    if (cached.fingerprint === fingerprint) return cached.buffer;
+    pdfCache.delete(cacheKey);
+  }
+
+  const jobKey = `${cacheKey}:${fingerprint}`;
+  if (pdfRenderJobs.has(jobKey)) return pdfRenderJobs.get(jobKey);
+  const render = () => renderReportPdf(events, { period, balances, branding, ledger });
+  const job = (quiet ? render() : withChatAction(chatId, "upload_document", render))
+    .then((buffer) => {
+      if (cacheable) rememberPdf(cacheKey, fingerprint, buffer);
+      return buffer;
+    })
+    .finally(() => pdfRenderJobs.delete(jobKey));
+  pdfRenderJobs.set(jobKey, job);
+  return job;
+}
+
+const EXPORT_COLUMNS = [
+  { header: "Timestamp", key: "timestamp", width: 20 },
+  { header: "Member ID", key: "user_id", width: 14 },
+  { header: "Username", key: "username", width: 18 },
+  { header: "Name", key: "name", width: 24 },
+  { header: "Gross", key: "gross", width: 14 },
+  { header: "Fee", key: "fee", width: 12 },
+  { header: "Delta", key: "delta", width: 14 },
+  { header: "Running balance", key: "balance", width: 16 },
+  { header: "Updated by", key: "updated_by", width: 14 },
+  { header: "Status", key: "status", width: 10 },
+  { header: "Note", key: "note", width: 30 },
+  { header: "Category", key: "category", width: 14 },
+];
+
+function getExportStatus(event) {
+  if (isCorrectionEvent(event)) return event.type;
+  if (isVoidedEvent(event)) return "voided";
+  return getEventStatus(event);
+}
+
+// The ledger export keeps the originally posted figures, since its adjustment
+// rows carry any edits; views without those rows pass current to show edited amounts.
+function buildExportRows(events, { current = false } = {}) {
+  return events.map((e) => ({
+    timestamp: formatTimestampInTimezone(e.timestamp),
+    user_id: e.user_id ?? "",
+    username: e.username ?? "",
+    name: e.name ?? "",
+    gross: current ? getEventGross(e) : Number(e.gross ?? e.delta) || 0,
+    fee: current ? getEventFee(e) : Number(e.fee) || 0,
+    delta: current ? getEventDelta(e) : Number(e.delta) || 0,
+    balance: Number(e.balance) || 0,
+    updated_by: e.updated_by ?? "",
+    status: getExportStatus(e),
+    note: e.note ?? "",
+    category: e.category ?? "",
+  }));
+}
+
+function buildExportSummaryRows(events) {
+  const rows = summarizeMembers(events).map((stats, idx) => ({
+    no: idx + 1,
+    member: stats.member,
+    entries: stats.entries,
+    total: stats.total,
+  }));
+  rows.push({ no: "", member: "TOTAL", entries: "", total: sumReportTotal(events) });
+  return rows;
+}
+
+function toCsv(columns, rows) {
+  const escapeCell = (value) => {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map((c) => escapeCell(c.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCell(row[c.key])).join(","));
+  }
+  // BOM so spreadsheet apps detect UTF-8 names.
+  return Buffer.from(`\uFEFF${lines.join("\r\n")}\r\n`, "utf8");
+}
+
+const EXPORT_SUMMARY_COLUMNS = [
+  { header: "No.", key: "no", width: 6 },
+  { header: "Member", key: "member", width: 24 },
+  { header: "Total entries", key: "entries", width: 14 },
+  { header: "Total amount", key: "total", width: 16 },
+];
+
+async function buildLedgerXlsx(events, { period } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const ledger = workbook.addWorksheet("Ledger");
+  ledger.columns = EXPORT_COLUMNS;
+  ledger.addRows(buildExportRows(events));
+  ledger.getRow(1).font = { bold: true };
+  ledger.getColumn("delta").numFmt = "#,##0.##";
+  ledger.getColumn("balance").numFmt = "#,##0.##";
+
+  const summary = workbook.addWorksheet("Summary");
+  summary.columns = EXPORT_SUMMARY_COLUMNS;
+  summary.addRows(buildExportSummaryRows(events));
+  summary.getRow(1).font = { bold: true };
+  summary.getRow(summary.rowCount).font = { bold: true };
+  summary.getColumn("total").numFmt = "#,##0.##";
+  if (period) {
+    summary.addRow([]);
+    summary.addRow(["", `Period: ${period.display}`]);
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Shared by /balance and the free-text +/- handler.
+// Per-chat limits live in settings.limits: max (single entry), confirm
+// (entries above it wait for the poster to confirm) and member_in/out,
+// chat_in/out (daily caps per business day). Unset means no limit.
+const ENTRY_CONFIRM_TTL_MS = 2 * 60 * 1000;
+const ENTRY_CONFIRM_POLL_MS = 15 * 1000;
+let confirmationTimer = null;
+
+function sumDailyEntries(events, direction) {
+  return roundAmount(
+    events
+      .filter((e) => !isCorrectionEvent(e) && !isVoidedEvent(e) && !isFailedEvent(e))
+      .map(getEventGross)
+      .filter((gross) => (direction === "in" ? gross > 0 : gross < 0))
+      .reduce((sum, gross) => sum + Math.abs(gross), 0)
+  );
+}
+
+// The first limit an entry would break, or null. Pending entries count
+// towards the daily caps so they cannot be used to get around them. An edited
+// entry (replaces) is checked against its own business day, without its old amount.
+async function checkEntryLimits(chatId, limits = {}, userId, amount, { replaces } = {}) {
+  if (limits.max && Math.abs(amount) > limits.max) {
+    return { limit: "max", cap: limits.max };
+  }
+  const direction = amount >= 0 ? "in" : "out";
+  const memberCap = limits[`member_${direction}`];
+  const chatCap = limits[`chat_${direction}`];
+  if (!memberCap && !chatCap) return null;
+  const period = replaces ? buildPeriod(getBusinessDay(replaces.timestamp)) : buildTodayPeriod();
+  const events = (await fetchBalanceEvents(chatId, period)).filter(
+    (e) => !replaces || String(e._id) !== String(replaces._id)
+  );
+  const memberTotal = roundAmount(
+    sumDailyEntries(events.filter((e) => e.user_id === userId), direction) + Math.abs(amount)
+  );
+  if (memberCap && memberTotal > memberCap) {
+    return { limit: "member", direction, cap: memberCap, total: memberTotal };
+  }
+  const chatTotal = roundAmount(sumDailyEntries(events, direction) + Math.abs(amount));
+  if (chatCap && chatTotal > chatCap) {
+    return { limit: "chat", direction, cap: chatCap, total: chatTotal };
+  }
+  return null;
+}
+
+function describeLimitBreach(breach, amount, target) {
+  const params = {
+    amount: formatSignedAmountWithCommas(amount),
+    name: mentionUserByUser(target),
+    limit: formatAmountWithCommas(breach.cap),
+    total: formatAmountWithCommas(breach.total ?? 0),
+    direction: t(`limits.direction.${breach.direction ?? "in"}`),
+  };
+  return t(`limits.exceeded.${breach.limit}`, params);
+}
+
+// With promptMessageId the breach replaces that confirmation prompt.
+async function rejectBalanceEntry(ctx, entry, target, breach, { promptMessageId } = {}) {
+  await recordAudit(ctx, "entry.rejected", {
+    target,
+    details: { amount: entry.delta, limit: breach.limit, cap: breach.cap, total: breach.total },
+  });
+  const text = withMention(ctx, describeLimitBreach(breach, entry.delta, target));
+  await (promptMessageId
+    ? ctx.api.editMessageText(ctx.chat.id, promptMessageId, text)
+    : ctx.reply(text));
+}
+
+function buildConfirmationPrompt(ctx, pending) {
+  return withMention(
+    ctx,
+    t(pending.event_id ? "confirm.editPrompt" : "confirm.prompt", {
+      amount: formatSignedAmountWithCommas(pending.entry.delta),
+      name: mentionUserByUser(pending.target),
+      minutes: Math.round(ENTRY_CONFIRM_TTL_MS / 60000),
+    })
+  );
+}
+
+function buildConfirmationKeyboard(pending) {
+  const id = pending._id.toString();
+  return new InlineKeyboard()
+    .text(t("confirm.confirm"), `entry:confirm:${id}`)
+    .text(t("confirm.cancel"), `entry:cancel:${id}`);
+}
+
+function editConfirmationPrompt(pending, text, extra) {
+  if (!pending.prompt_message_id) return;
+  return bot.api
+    .editMessageText(pending.chat_id, pending.prompt_message_id, text, extra)
+    .catch((err) => console.warn("Failed to update confirmation prompt", err?.description ?? err));
+}
+
+// Moves a waiting confirmation to its final status; false if something else got there first.
+async function claimEntryConfirmation(pending, status) {
+  const { entryConfirmations } = await ensureDb();
+  const claimed = await entryConfirmations.updateOne(
+    { _id: pending._id, status: "waiting" },
+    { $set: { status, resolved_at: new Date() } }
+  );
+  return claimed.modifiedCount > 0;
+}
+
+// A message can have one waiting confirmation: its new entry, or an edit of
+// the entry it already posted.
+async function findWaitingConfirmation(chatId, messageId, eventId) {
+  const { entryConfirmations } = await ensureDb();
+  return entryConfirmations.findOne({
+    chat_id: chatId,
+    status: "waiting",
+    $or: [{ message_id: messageId }, ...(eventId ? [{ event_id: eventId }] : [])],
+  });
+}
+
+// Parked entries keep the original message id, so once confirmed they can
+// still be edited, voided and replied to like any other entry. Parked edits
+// carry the entry's event_id instead and amend it once confirmed.
+async function requestEntryConfirmation(ctx, entry, target, { mentionPrefix, eventId, editDate } = {}) {
+  const { entryConfirmations } = await ensureDb();
+  const now = new Date();
+  const confirmation = {
+    chat_id: ctx.chat.id,
+    chat_title: ctx.chat.title,
+    ...(eventId ? { event_id: eventId, edit_date: editDate } : { message_id: ctx.message?.message_id }),
+    user_id: ctx.from.id,
+    username: ctx.from.username,
+    name: `${ctx.from.first_name ?? ""} ${ctx.from.last_name ?? ""}`.trim(),
+    target: {
+      id: target.id,
+      username: target.username,
+      first_name: target.first_name,
+      last_name: target.last_name,
+    },
+    entry,
+    mention_prefix: mentionPrefix ?? null,
+    status: "waiting",
+    created_at: now,
+    expires_at: new Date(now.getTime() + ENTRY_CONFIRM_TTL_MS),
+  };
+  try {
+    await entryConfirmations.insertOne(confirmation);
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return;
+    throw err;
+  }
+  const prompt = await ctx.reply(buildConfirmationPrompt(ctx, confirmation), {
+    reply_markup: buildConfirmationKeyboard(confirmation),
+  });
+  await entryConfirmations.updateOne(
+    { _id: confirmation._id },
+    { $set: { prompt_message_id: prompt.message_id } }
+  );
+}
+
+// Editing a message while its confirmation waits updates what Confirm will
+// post, after the same limits check; an edit that is no longer an entry cancels it.
+async function refreshEntryConfirmation(ctx, pending, parsed, event) {
+  const { entryConfirmations } = await ensureDb();
+  if (!parsed) {
+    await cancelEntryConfirmation(ctx, pending);
+    return;
+  }
+  const edited = ctx.editedMessage;
+  const entry = {
+    delta: parsed.delta,
+    note: parsed.note,
+    category: parsed.category,
+    expression: parsed.expression,
+  };
+  const { limits = {} } = await getChatSettings(pending.chat_id);
+  const breach = await checkEntryLimits(pending.chat_id, limits, pending.target.id, entry.delta, {
+    replaces: event ?? undefined,
+  });
+  if (breach) {
+    if (!(await claimEntryConfirmation(pending, "rejected"))) return;
+    await rejectBalanceEntry(ctx, entry, pending.target, breach, {
+      promptMessageId: pending.prompt_message_id,
+    });
+    return;
+  }
+  const refreshed = await entryConfirmations.findOneAndUpdate(
+    { _id: pending._id, status: "waiting", edit_date: { $not: { $gte: edited.edit_date } } },
+    {
+      $set: {
+        entry,
+        edit_date: edited.edit_date,
+        expires_at: new Date(Date.now() + ENTRY_CONFIRM_TTL_MS),
+      },
+    },
+    { returnDocument: "after" }
+  );
+  if (!refreshed) return;
+  await editConfirmationPrompt(refreshed, buildConfirmationPrompt(ctx, refreshed), {
+    reply_markup: buildConfirmationKeyboard(refreshed),
+  });
+}
+
+async function cancelEntryConfirmation(ctx, pending) {
+  if (!(await claimEntryConfirmation(pending, "cancelled"))) return;
+  await recordAudit(ctx, "entry.cancelled", {
+    target: pending.target,
+    details: { amount: pending.entry.delta },
+  });
+  await editConfirmationPrompt(
+    pending,
+    withMention(
+      ctx,
+      t("confirm.cancelled", {
+        amount: formatSignedAmountWithCommas(pending.entry.delta),
+        name: mentionUserByUser(pending.target),
+      })
+    )
+  );
+}
+
+async function commitBalanceEntry(ctx, entry, target, { messageId, mentionPrefix } = {}) {
+  const { duplicate, event } = await updateUserBalance(ctx, entry.delta, target, {
+    note: entry.note,
+    category: entry.category,
+    expression: entry.expression,
+    ...(messageId ? { message_id: messageId } : {}),
+  });
+  if (duplicate) return;
+  await warnIfDayClosed(ctx, event);
+  await sendReport(ctx, { limit: 6, mentionPrefix });
+}
+
+async function postBalanceEntry(ctx, parsed, { mentionPrefix } = {}) {
+  if (await findEntryEventByMessage(ctx.chat.id, ctx.message?.message_id)) return;
+  if (parsed.expression) {
+    await ctx.reply(
+      withMention(ctx, `🧮 ${parsed.expression} = ${formatSignedAmountWithCommas(parsed.delta)}`)
+    );
+  }
+  const targetUser = resolveBalanceTarget(ctx);
+  const entry = {
+    delta: parsed.delta,
+    note: parsed.note,
+    category: parsed.category,
+    expression: parsed.expression,
+  };
+  const { limits = {} } = await getChatSettings(ctx.chat.id);
+  const breach = await checkEntryLimits(ctx.chat.id, limits, targetUser.id, entry.delta);
+  if (breach) {
+    await rejectBalanceEntry(ctx, entry, targetUser, breach);
+    return;
+  }
+  if (limits.confirm && Math.abs(entry.delta) > limits.confirm) {
+    await requestEntryConfirmation(ctx, entry, targetUser, { mentionPrefix });
+    return;
+  }
+  await commitBalanceEntry(ctx, entry, targetUser, { mentionPrefix });
+}
+
+async function fetchMemberBalances(chatId) {
+  const { balances } = await ensureDb();
+  return balances.find({ chat_id: chatId }).sort({ balance: -1 }).toArray();
+}
+
+async function fetchMemberBalance(chatId, userId) {
+  const { balances } = await ensureDb();
+  return balances.findOne({ chat_id: chatId, user_id: userId });
+}
+
+async function replyWithMemberBalance(ctx, user) {
+  const doc = await fetchMemberBalance(ctx.chat.id, user.id);
+  const name = doc ? displayMemberId(doc) : mentionUserByUser(user);
+  if (!doc) {
+    await ctx.reply(withMention(ctx, t("balance.noEntries", { name })));
+    return;
+  }
+  const html = `<pre><b>${escapeHtml(
+    t("balance.card", {
+      name,
+      balance: formatSignedAmountWithCommas(doc.balance),
+      updated: `${formatDateDMY(doc.updated_at)} ${formatTime(doc.updated_at)}`,
+    })
+  )}</b></pre>`;
+  await ctx.reply(html, { parse_mode: "HTML" });
+}
+
+function resolveBalanceTarget(ctx) {
+  const repliedUser = ctx.message?.reply_to_message?.from;
+  if (repliedUser?.id) {
+    return repliedUser;
+  }
+  return ctx.from;
+}
+
+// Audit trail of balance, entry, role and settings changes and of exports.
+// Entries are only ever inserted, never updated or deleted.
+const AUDIT_LIST_LIMIT = 25;
+
+function buildMessageLink(chat, messageId) {
+  if (!chat?.id || !messageId) return null;
+  if (chat.username) return `https://t.me/${chat.username}/${messageId}`;
+  const chatId = String(chat.id);
+  // Private supergroups link as t.me/c/<id without the -100 prefix>.
+  return chatId.startsWith("-100") ? `https://t.me/c/${chatId.slice(4)}/${messageId}` : null;
+}
+
+// Inside a ledger transaction the entry commits or aborts with the change
+// itself; elsewhere the change has already happened, so a failed write is
+// logged instead of failing the command.
+async function recordAudit(ctx, action, { target, before = null, after = null, details, session } = {}) {
+  const { auditLog } = await ensureDb();
+  const messageId = ctx.msg?.message_id;
+  const entry = {
+    chat_id: ctx.chat?.id,
+    chat_title: ctx.chat?.title,
+    action,
+    actor_id: ctx.from?.id ?? null,
+    actor_username: ctx.from?.username ?? null,
+    actor_name: `${ctx.from?.first_name ?? ""} ${ctx.from?.last_name ?? ""}`.trim() || null,
+    target_id: target?.id ?? null,
+    target_username: target?.username ?? null,
+    target_name: `${target?.first_name ?? ""} ${target?.last_name ?? ""}`.trim() || null,
+    before,
+    after,
+    ...(details ? { details } : {}),
+    message_id: messageId ?? null,
+    message_link: buildMessageLink(ctx.chat, messageId),
+    timestamp: new Date(),
+  };
+  if (session) {
+    await auditLog.insertOne(entry, { session });
+    return;
+  }
+  await auditLog.insertOne(entry).catch((err) => {
+    console.error(`Failed to record audit entry ${action}`, err);
+  });
+}
+
+function recordExportAudit(ctx, report, format, { period, memberId } = {}) {
+  return recordAudit(ctx, "export", {
+    target: memberId ? { id: memberId } : undefined,
+    details: { report, format, period: period?.label ?? null },
+  });
+}
+
+async function getChatSettings(chatId) {
+  const { chatSettings } = await ensureDb();
+  return (await chatSettings.findOne({ chat_id: chatId })) ?? { chat_id: chatId };
+}
+
+async function updateChatSettings(ctx, fields) {
+  const { chatSettings } = await ensureDb();
+  const previous = await chatSettings.findOneAndUpdate(
+    { chat_id: ctx.chat.id },
+    {
+      $set: { ...fields, chat_id: ctx.chat.id, updated_at: new Date(), updated_by: ctx.from?.id },
+      $setOnInsert: { created_at: new Date() },
+    },
+    { upsert: true, returnDocument: "before" }
+  );
+  chatContextCache.delete(ctx.chat.id);
+  await recordAudit(ctx, "settings", {
+    before: Object.fromEntries(Object.keys(fields).map((key) => [key, previous?.[key] ?? null])),
+    after: fields,
+  });
+}
+
+function getFeeDirection(amount) {
+  return amount >= 0 ? "in" : "out";
+}
+
+function computeFee(amount, rule) {
+  if (!rule) return 0;
+  const abs = Math.abs(Number(amount) || 0);
+  let fee = rule.percent ? (abs * rule.percent) / 100 : rule.fixed ?? 0;
+  if (rule.min) fee = Math.max(fee, rule.min);
+  if (rule.max) fee = Math.min(fee, rule.max);
+  return roundAmount(Math.min(fee, abs));
+}
+
+// Fees always come out of the member's side: deposits are credited less,
+// withdrawals are debited more. net = gross - fee.
+async function applyChatFees(chatId, gross) {
+  const settings = await getChatSettings(chatId);
+  const fee = computeFee(gross, settings.fees?.[getFeeDirection(gross)]);
+  return { gross, fee, net: roundAmount(gross - fee) };
+}
+
+// Runs work(session) in a transaction, or with no session on a standalone
+// mongod, where each write still applies but not all-or-nothing.
+async function withLedgerTransaction(work) {
+  const { client, transactions } = await ensureDb();
+  if (!transactions) return work(undefined);
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+function isDuplicateKeyError(err) {
+  return err?.code === 11000;
+}
+
+// Writes the balance change and its event inside the caller's transaction.
+// chat_id + message_id + source_kind is unique, so a redelivered update cannot
+// post the same message twice.
+async function writeLedgerEvent(ctx, session, { delta, fees, targetUser, eventFields }) {
+  const chatId = ctx.chat.id;
+  const userId = targetUser.id;
+  const { balances, balanceEvents } = await ensureDb();
+  const updated = await balances.findOneAndUpdate(
+    { chat_id: chatId, user_id: userId },
+    {
+      $inc: { balance: delta },
+      $setOnInsert: {
+        chat_id: chatId,
+        user_id: userId,
+        username: targetUser?.username,
+        name: `${targetUser?.first_name ?? ""} ${targetUser?.last_name ?? ""}`.trim(),
+        created_at: new Date(),
+      },
+      $set: { updated_at: new Date() },
+    },
+    { upsert: true, returnDocument: "after", session }
+  );
+  const type = eventFields.type ?? "entry";
+  const event = {
+    chat_id: chatId,
+    chat_title: ctx.chat?.title,
+    message_id: ctx.msg?.message_id,
+    source_kind: type,
+    type,
+    user_id: userId,
+    username: targetUser?.username,
+    name: `${targetUser?.first_name ?? ""} ${targetUser?.last_name ?? ""}`.trim(),
+    timestamp: new Date(),
+    delta,
+    ...(fees ?? {}),
+    balance: updated?.balance ?? delta,
+    updated_by: ctx.from?.id,
+    updated_by_username: ctx.from?.username,
+    ...eventFields,
+  };
+  await balanceEvents.insertOne(event, { session });
+  await recordAudit(ctx, `balance.${type}`, {
+    target: targetUser,
+    before: roundAmount(event.balance - delta),
+    after: event.balance,
+    details: { event_id: event._id, delta },
+    session,
+  });
+  return { balance: updated, event };
+}
+
+async function updateUserBalance(ctx, amount, targetUser = ctx.from, eventFields = {}) {
+  const chatId = ctx.chat?.id;
+  const userId = targetUser?.id;
+  if (!chatId || !userId) {
+    throw new Error("Missing chat or user info.");
+  }
+  const isEntry = (eventFields.type ?? "entry") === "entry";
+  const fees = isEntry ? await applyChatFees(chatId, amount) : null;
+  const delta = fees ? fees.net : amount;
+  try {
+    return await withLedgerTransaction((session) =>
+      writeLedgerEvent(ctx, session, { delta, fees, targetUser, eventFields })
+    );
+  } catch (err) {
+    if (isDuplicateKeyError(err)) {
+      console.warn(
+        `Ignoring replayed balance update for message ${ctx.msg?.message_id} in chat ${chatId}`
+      );
+      return { duplicate: true, balance: null, event: null };
+    }
+    throw err;
+  }
+}
+
+function isReversalEvent(event) {
+  return event?.type === "reversal";
+}
+
+function isCorrectionEvent(event) {
+  return isReversalEvent(event) || event?.type === "adjustment";
+}
+
+function isVoidedEvent(event) {
+  return Boolean(event?.voided);
+}
+
+function getEventStatus(event) {
+  return event?.status ?? "posted";
+}
+
+function isPendingEvent(event) {
+  return getEventStatus(event) === "pending";
+}
+
+function isFailedEvent(event) {
+  return getEventStatus(event) === "failed";
+}
+
+async function findEventById(chatId, id) {
+  if (!ObjectId.isValid(id)) return null;
+  const { balanceEvents } = await ensureDb();
+  return balanceEvents.findOne({ _id: new ObjectId(id), chat_id: chatId });
+}
+
+// Only posted entries count towards the member balance, so moving between
+// posted and failed/pending rolls the balance forward or back.
+async function setBalanceEventStatus(ctx, event, status) {
+  const previous = getEventStatus(event);
+  if (previous === status) return false;
+  return withLedgerTransaction((session) =>
+    applyBalanceEventStatus(ctx, session, event, previous, status)
+  );
+}
+
+async function applyBalanceEventStatus(ctx, session, event, previous, status) {
+  const { balances, balanceEvents } = await ensureDb();
+  const claimed = await balanceEvents.updateOne(
+    {
+      _id: event._id,
+      status: previous === "posted" ? { $in: [null, "posted"] } : previous,
+    },
+    {
+      $set: {
+        status,
+        status_updated_at: new Date(),
+        status_updated_by: ctx.from?.id,
+      },
+    },
+    { session }
+  );
+  if (!claimed.modifiedCount) return false;
+  await recordAudit(ctx, "entry.status", {
+    target: { id: event.user_id, username: event.username, first_name: event.name },
+    before: previous,
+    after: status,
+    details: { event_id: event._id },
+    session,
+  });
+  const wasCounted = previous === "posted";
+  const isCounted = status === "posted";
+  if (wasCounted !== isCounted) {
+    const delta = getEventDelta(event);
+    await balances.updateOne(
+      { chat_id: event.chat_id, user_id: event.user_id },
+      {
+        $inc: { balance: isCounted ? delta : -delta },
+        $set: { updated_at: new Date() },
+      },
+      { session }
+    );
+  }
+  return true;
+}
+
+async function findEntryEventByMessage(chatId, messageId) {
+  if (!chatId || !messageId) return null;
+  const { balanceEvents } = await ensureDb();
+  return balanceEvents.findOne({
+    chat_id: chatId,
+    message_id: messageId,
+    type: { $nin: ["reversal", "adjustment"] },
+  });
+}
+
+async function findLastEntryEventByAdmin(chatId, adminId) {
+  const { balanceEvents } = await ensureDb();
+  return balanceEvents.findOne(
+    {
+      chat_id: chatId,
+      updated_by: adminId,
+      type: { $nin: ["reversal", "adjustment"] },
+      voided: { $ne: true },
+    },
+    { sort: { timestamp: -1 } }
+  );
+}
+
+// Voiding never touches the original amount: it is flagged and, when it still
+// counts towards the balance, a linked reversal event rolls the balance back.
+// Resolves to the reversal (or the voided entry when nothing had to be rolled
+// back), or null when it was already voided.
+async function voidBalanceEvent(ctx, event) {
+  const { balanceEvents } = await ensureDb();
+  const targetUser = {
+    id: event.user_id,
+    username: event.username,
+    first_name: event.name,
+  };
+  try {
+    return await withLedgerTransaction(async (session) => {
+      const current = await balanceEvents.findOneAndUpdate(
+        { _id: event._id, voided: { $ne: true } },
+        { $set: { voided: true, voided_at: new Date(), voided_by: ctx.from?.id } },
+        { session, returnDocument: "after" }
+      );
+      if (!current) return null;
+      await recordAudit(ctx, "entry.void", {
+        target: targetUser,
+        before: getEventStatus(current),
+        after: "voided",
+        details: { event_id: current._id, gross: getEventGross(current) },
+        session,
+      });
+      if (getEventStatus(current) !== "posted") return current;
+      const { event: reversal } = await writeLedgerEvent(ctx, session, {
+        delta: -getEventDelta(current),
+        targetUser,
+        eventFields: { type: "reversal", reverses: event._id },
+      });
+      await balanceEvents.updateOne(
+        { _id: event._id },
+        { $set: { reversal_id: reversal._id } },
+        { session }
+      );
+      return reversal;
+    });
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return null;
+    throw err;
+  }
+}
+
+// Applies an edited +/- message to its entry. The original figures stay on the
+// event; the amended ones go to current_* and, for posted entries, a linked
+// adjustment event moves the balance by the difference. edited is the message
+// edit being applied (message_id, edit_date).
+async function amendBalanceEvent(ctx, event, parsed, edited) {
+  const { balanceEvents } = await ensureDb();
+  const fees = await applyChatFees(event.chat_id, parsed.delta);
+  const targetUser = {
+    id: event.user_id,
+    username: event.username,
+    first_name: event.name,
+  };
+  try {
+    return await withLedgerTransaction(async (session) => {
+      const current = await balanceEvents.findOne({ _id: event._id }, { session });
+      if (!current || isVoidedEvent(current)) return null;
+      if (current.last_edit_date && current.last_edit_date >= edited.edit_date) return null;
+      const previous = {
+        gross: getEventGross(current),
+        fee: getEventFee(current),
+        delta: getEventDelta(current),
+        note: current.note ?? null,
+        category: current.category ?? null,
+      };
+      await balanceEvents.updateOne(
+        { _id: current._id },
+        {
+          $set: {
+            current_gross: fees.gross,
+            current_fee: fees.fee,
+            current_delta: fees.net,
+            note: parsed.note,
+            category: parsed.category,
+            expression: parsed.expression,
+            edited_at: new Date(),
+            edited_by: ctx.from?.id,
+            last_edit_date: edited.edit_date,
+          },
+          $inc: { edit_count: 1 },
+        },
+        { session }
+      );
+      await recordAudit(ctx, "entry.edit", {
+        target: targetUser,
+        before: previous,
+        after: {
+          gross: fees.gross,
+          fee: fees.fee,
+          delta: fees.net,
+          note: parsed.note ?? null,
+          category: parsed.category ?? null,
+        },
+        details: { event_id: current._id },
+        session,
+      });
+      const difference = roundAmount(fees.net - previous.delta);
+      if (getEventStatus(current) === "posted" && difference !== 0) {
+        await writeLedgerEvent(ctx, session, {
+          delta: difference,
+          targetUser,
+          eventFields: {
+            type: "adjustment",
+            adjusts: current._id,
+            message_id: edited.message_id,
+            source_kind: `edit:${edited.edit_date}`,
+            previous,
+          },
+        });
+      }
+      return { previous, current: fees };
+    });
+  } catch (err) {
+    if (isDuplicateKeyError(err)) return null;
+    throw err;
+  }
+}
+
+async function commitBalanceEdit(ctx, event, parsed, edited) {
+  const result = await amendBalanceEvent(ctx, event, parsed, edited);
+  if (!result) return;
+  await warnIfDayClosed(ctx, event);
+  await sendReport(ctx, {
+    limit: 6,
+    mentionPrefix: t("edit.amended", {
+      from: formatSignedAmountWithCommas(result.previous.gross),
+      to: formatSignedAmountWithCommas(result.current.gross),
+      member: displayMemberId(event),
+    }),
+  });
+}
+
+// A changed amount goes through the same limits and confirm threshold as a new
+// entry; edits that only touch the note or category apply straight away.
+async function applyBalanceEdit(ctx, event, parsed) {
+  const edited = ctx.editedMessage;
+  if (parsed.delta !== getEventGross(event)) {
+    const target = { id: event.user_id, username: event.username, first_name: event.name };
+    const entry = {
+      delta: parsed.delta,
+      note: parsed.note,
+      category: parsed.category,
+      expression: parsed.expression,
+    };
+    const { limits = {} } = await getChatSettings(ctx.chat.id);
+    const breach = await checkEntryLimits(ctx.chat.id, limits, target.id, entry.delta, {
+      replaces: event,
+    });
+    if (breach) {
+      await rejectBalanceEntry(ctx, entry, target, breach);
+      return;
+    }
+    if (limits.confirm && Math.abs(entry.delta) > limits.confirm) {
+      await requestEntryConfirmation(ctx, entry, target, {
+        eventId: event._id,
+        editDate: edited.edit_date,
+      });
+      return;
+    }
+  }
+  await commitBalanceEdit(ctx, event, parsed, edited);
+}
+
+const ROLE_PERMISSIONS = {
+  owner: ["post", "report", "export", "manage", "audit"],
+  operator: ["post", "report"],
+  viewer: ["report"],
+  auditor: ["report", "export", "audit"],
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Documents written before roles existed belong to the single balance admin.
+function getRoleName(roleDoc) {
+  return roleDoc?.role ?? "owner";
+}
+
+function roleHasPermission(role, permission) {
+  return Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+async function listChatRoles(chatId) {
+  const { balanceAdmins } = await ensureDb();
+  return balanceAdmins.find({ chat_id: chatId }).sort({ updated_at: 1 }).toArray();
+}
+
+async function getChatRole(chatId, userId) {
+  const { balanceAdmins } = await ensureDb();
+  return balanceAdmins.findOne({ chat_id: chatId, user_id: userId });
+}
+
+// A chat must keep at least one owner, whether a role is removed or changed.
+function isLastOwner(roles, current) {
+  if (getRoleName(current) !== "owner") return false;
+  return roles.filter((r) => getRoleName(r) === "owner").length === 1;
+}
+
+async function setChatRole(ctx, target, role) {
+  const { balanceAdmins } = await ensureDb();
+  const previous = await balanceAdmins.findOneAndUpdate(
+    { chat_id: ctx.chat.id, user_id: target.id },
+    {
+      $set: {
+        chat_id: ctx.chat.id,
+        user_id: target.id,
+        role,
+        username: target.username,
+        name: `${target.first_name ?? ""} ${target.last_name ?? ""}`.trim(),
+        updated_at: new Date(),
+        updated_by: ctx.from?.id,
+      },
+    },
+    { upsert: true, returnDocument: "before" }
+  );
+  await recordAudit(ctx, "role.set", {
+    target,
+    before: previous ? getRoleName(previous) : null,
+    after: role,
+  });
+}
+
+async function isTelegramChatAdmin(ctx) {
+  const member = await ctx.api.getChatMember(ctx.chat.id, ctx.from.id);
+  return member.status === "creator" || member.status === "administrator";
+}
+
+async function ensureChatPermission(ctx, permission) {
+  const chatId = ctx.chat?.id;
+  const userId = ctx.from?.id;
+  if (!chatId || !userId) {
+    await ctx.reply(withMention(ctx, t("common.missingInfo")));
+    return false;
+  }
+  const roleDoc = await getChatRole(chatId, userId);
+  if (roleDoc && roleHasPermission(getRoleName(roleDoc), permission)) return true;
+  if (!roleDoc && !(await listChatRoles(chatId)).length) {
+    await ctx.reply(withMention(ctx, t("roles.adminNotSet")));
+    return false;
+  }
+  if (permission === "post") {
+    await ctx.reply(withMention(ctx, t("roles.onlyBalanceAdmin")));
+    return false;
+  }
+  const allowed = ROLES.filter((role) => roleHasPermission(role, permission));
+  await ctx.reply(
+    withMention(
+      ctx,
+      t("roles.onlyRoles", { roles: allowed.join(", "), action: t(`permission.${permission}`) })
+    )
+  );
+  return false;
+}
+
+async function ensureBalanceAdmin(ctx) {
+  return ensureChatPermission(ctx, "post");
+}
+
+// Role management is open to Telegram chat admins and the chat's owners.
+async function ensureRoleManager(ctx) {
+  const roleDoc = await getChatRole(ctx.chat.id, ctx.from.id);
+  if (roleDoc && roleHasPermission(getRoleName(roleDoc), "manage")) return true;
+  try {
+    if (await isTelegramChatAdmin(ctx)) return true;
+  } catch (err) {
+    console.error("Failed to verify admin status", err);
+    await ctx.reply(withMention(ctx, t("roles.verifyFailed")));
+    return false;
+  }
+  await ctx.reply(withMention(ctx, t("roles.onlyManagers")));
+  return false;
+}
+
+async function findKnownUserByUsername(chatId, username) {
+  const match = String(username).match(/^@?([A-Za-z0-9_]{4,32})$/);
+  if (!match) return null;
+  const { balances, balanceAdmins } = await ensureDb();
+  const query = { chat_id: chatId, username: new RegExp(`^${match[1]}$`, "i") };
+  const doc = (await balanceAdmins.findOne(query)) ?? (await balances.findOne(query));
+  if (!doc) return null;
+  return { id: doc.user_id, username: doc.username, first_name: doc.name };
+}
+
+// Target from a replied-to message, a text mention, a numeric id or a known @username.
+async function resolveCommandTarget(ctx, arg) {
+  if (ctx.message?.reply_to_message?.from?.id) {
+    return ctx.message.reply_to_message.from;
+  }
+  const mention = ctx.message?.entities?.find((e) => e.type === "text_mention");
+  if (mention?.user) return mention.user;
+  if (arg && /^\d+$/.test(arg)) return { id: Number(arg) };
+  if (arg?.startsWith("@")) return findKnownUserByUsername(ctx.chat.id, arg);
+  return null;
+}
+
+// Reply keyboard labels
+function buildReportLines(
+  events,
+  { limit, entryFormatter, style = "pretty", period, ledger } = {}
+) {
+  const total = sumReportTotal(events);
+  const summary = ledger ? summarizeLedger(events, ledger) : null;
+  const reportDate = period?.display ?? formatDateDMY(new Date());
+  const reportEvents = getReportEvents(events);
+  const displayEvents = limit ? reportEvents.slice(-limit) : reportEvents;
+  const formatLine = entryFormatter || buildReportEntryLineText;
+  const formatEntry = (e) =>
+    formatLine(e, { running: summary?.running.get(e), flagged: summary?.flagged.has(e) });
+  const separator = style === "pretty" ? "────────────────" : "----------";
+  const pretty = (emoji, label) => (style === "pretty" ? `${emoji} ${label}` : label);
+  const header = pretty("📊", t("report.title"));
+  const dateLine =
+    style === "pretty" ? `📅 ${reportDate}` : `${t("report.dateLabel")}: ${reportDate}`;
+  const totalLabel = `${pretty("💵", t("report.total"))}:`;
+  const formatTotal = (value) =>
+    style === "pretty" ? formatAmountWithCommas(value) : formatAmount(value);
+  const totalValue = formatTotal(total);
+  const lines = [header, "", dateLine, separator];
+  const headerEnd = lines.length;
+  if (summary) {
+    lines.push(`${pretty("🏦", t("report.openingBalance"))}: ${formatTotal(summary.opening)}`);
+  }
+  if (period?.isRange && !limit) {
+    for (const day of groupEventsByDay(displayEvents)) {
+      lines.push(
+        style === "pretty" ? `📅 ${day.label}` : `${t("report.dateLabel")}: ${day.label}`
+      );
+      for (const e of day.events) {
+        lines.push(formatEntry(e));
+      }
+      lines.push(`${t("report.subtotal")}: ${formatTotal(day.total)}`, "");
+    }
+  } else {
+    for (const e of displayEvents) {
+      lines.push(formatEntry(e));
+    }
+  }
+  const entriesEnd = lines.length;
+  lines.push(separator);
+  if (hasFees(events)) {
+    const feeSummary = summarizeFees(events);
+    lines.push(
+      `${t("report.gross")}: ${formatTotal(feeSummary.gross)}`,
+      `${pretty("💸", t("report.fees"))}: ${formatTotal(feeSummary.fees)}`
+    );
+  }
+  lines.push(`${totalLabel} ${totalValue}`);
+  if (summary) {
+    lines.push(`${pretty("🏦", t("report.closingBalance"))}: ${formatTotal(summary.closing)}`);
+    for (const drift of summary.drift) lines.push(`⚠️ ${buildLedgerDriftText(drift)}`);
+    if (summary.flagged.size) lines.push(`⚠️ ${t("report.changedAfterClose")}`);
+  }
+  const pendingEvents = getPendingEvents(events);
+  if (pendingEvents.length) {
+    const pendingTotal = sumDeltas(pendingEvents);
+    lines.push("", pretty("⏳", t("report.pendingHeading").toUpperCase()), separator);
+    for (const e of pendingEvents) {
+      lines.push(formatEntry(e));
+    }
+    lines.push(
+      separator,
+      `${pretty("⏳", t("report.pendingTotal"))}: ${formatTotal(pendingTotal)}`
+    );
+  }
+  const categories = limit ? [] : summarizeCategories(events);
+  if (categories.length) {
+    lines.push("", pretty("🏷️", t("report.categoriesHeading").toUpperCase()), separator);
+    for (const c of categories) {
+      lines.push(
+        `${c.category}: ${t("report.entryCount", { count: c.entries })}, ${formatTotal(c.total)}`
+      );
+    }
+  }
+  if (period?.isRange && !limit) {
+    const members = summarizeMembers(events);
+    if (members.length) {
+      lines.push("", pretty("👥", t("report.membersHeading")), separator);
+      members.forEach((stats, idx) => {
+        const balances = summary?.members.get(String(stats.user_id));
+        const range = balances
+          ? ` (${formatTotal(balances.opening)} → ${formatTotal(balances.closing)})`
+          : "";
+        lines.push(
+          `${idx + 1}. ${stats.member}: ${t("report.entryCount", {
+            count: stats.entries,
+          })}, ${formatTotal(stats.total)}${range}`
+        );
+      });
+    }
+  }
+  return { lines, total, headerEnd, entriesEnd };
+}
+
+// Telegram rejects messages over 4096 characters, so long <pre> replies are
+// split by their escaped size; the budget leaves room for tags and a mention.
+const TELEGRAM_TEXT_BUDGET = 3800;
+const LONG_LINE_SLICE = 500;
+
+// Lines over the budget are sliced into LONG_LINE_SLICE pieces unless slice is
+// false, in which case they go out whole in a chunk of their own.
+function chunkLines(
+  lines,
+  { budget = TELEGRAM_TEXT_BUDGET, maxLines = Infinity, measure = (line) => line.length, slice = true } = {}
+) {
+  const chunks = [];
+  let chunk = [];
+  let size = 0;
+  const pieces = lines.flatMap((line) =>
+    slice && measure(line) > budget
+      ? Array.from({ length: Math.ceil(line.length / LONG_LINE_SLICE) }, (_, i) =>
+          line.slice(i * LONG_LINE_SLICE, (i + 1) * LONG_LINE_SLICE)
+        )
+      : [line]
+  );
+  for (const piece of pieces) {
+    const length = measure(piece) + 1;
+    if (chunk.length && (chunk.length >= maxLines || size + length > budget)) {
+      chunks.push(chunk);
+      chunk = [];
+      size = 0;
+    }
+    chunk.push(piece);
+    size += length;
+  }
+  if (chunk.length) chunks.push(chunk);
+  return chunks;
+}
+
+function measurePreLine(line) {
+  return escapeHtml(line).length;
+}
+
+async function replyWithPre(ctx, lines, options = {}) {
+  const chunks = chunkLines(lines, { measure: measurePreLine });
+  for (const [idx, chunk] of chunks.entries()) {
+    await ctx.reply(`<pre><b>${escapeHtml(chunk.join("\n"))}</b></pre>`, {
+      parse_mode: "HTML",
+      ...(idx === chunks.length - 1 ? options : {}),
+    });
+  }
+}
+
+// HTML lines are never sliced, since a cut could land inside a tag or entity;
+// an oversized line is sent whole in a message of its own.
+async function replyWithHtmlLines(ctx, lines, options = {}) {
+  for (const chunk of chunkLines(lines, { slice: false })) {
+    await ctx.reply(chunk.join("\n"), { parse_mode: "HTML", ...options });
+  }
+}
+
+// In-chat reports are paged by entry lines and by size. The header repeats on
+// every page and the totals follow the last entries. Pages counted from the
+// end keep "the last N entries" views lined up with the latest entry.
+const REPORT_PAGE_LINES = 20;
+const REPORT_VIEW_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+function paginateReport({ lines, headerEnd, entriesEnd }, { pageLines, fromEnd = false }) {
+  const header = lines.slice(0, headerEnd);
+  const budget = TELEGRAM_TEXT_BUDGET - header.reduce((sum, line) => sum + measurePreLine(line) + 1, 0);
+  const entries = lines.slice(headerEnd, entriesEnd);
+  const ordered = fromEnd ? [...entries].reverse() : entries;
+  let pages = chunkLines(ordered, { budget, maxLines: pageLines, measure: measurePreLine });
+  if (fromEnd) pages = pages.map((page) => page.reverse()).reverse();
+  const last = pages.pop() ?? [];
+  const tail = chunkLines([...last, ...lines.slice(entriesEnd)], { budget, measure: measurePreLine });
+  return [...pages, ...tail].map((page) => [...header, ...page]);
+}
+
+async function buildReportView(chatId, view) {
+  if (view.kind === "history") return buildHistoryView(chatId, view);
+  const period = buildPeriod(view.from, view.to);
+  const periodEvents = filterEventsByCategory(await fetchBalanceEvents(chatId, period), view.category);
+  const events = filterEventsByMember(periodEvents, view.member_id);
+  // Balances over a category filter would not add up to anything.
+  const ledger = view.category
+    ? null
+    : await loadReportLedger(chatId, period, { memberId: view.member_id });
+  const report = buildReportLines(events, {
+    entryFormatter: buildReportEntryLineText,
+    style: "pretty",
+    period,
+    ledger,
+  });
+  const pages = paginateReport(report, { pageLines: view.page_lines, fromEnd: view.from_end });
+  return { pages, period, members: listReportMembers(getReportEvents(periodEvents)) };
+}
+
+function renderReportPage(view, { pages, members }, page) {
+  const prefix = view.prefix ? `${view.prefix}\n` : "";
+  const html = `<pre><b>${escapeHtml(prefix + pages[page].join("\n"))}</b></pre>`;
+  if (pages.length < 2 && members.size < 2 && !view.member_id) return { html, keyboard: null };
+  const data = (action, value) => `rv:${view._id}:${action}${value === undefined ? "" : `:${value}`}`;
+  const keyboard = new InlineKeyboard();
+  if (pages.length > 1) {
+    if (page > 0) keyboard.text("◀️", data("p", page - 1));
+    keyboard.text(`${page + 1}/${pages.length}`, data("p", page));
+    if (page < pages.length - 1) keyboard.text("▶️", data("p", page + 1));
+    keyboard.row();
+  }
+  const member = view.member_id ? members.get(String(view.member_id)) ?? view.member_id : null;
+  keyboard.text(member ? `👤 ${member}` : t("report.filterMember"), data("m"));
+  return { html, keyboard };
+}
+
+function getInitialReportPage(view, pages) {
+  return view.from_end ? pages.length - 1 : 0;
+}
+
+async function sendReport(
+  ctx,
+  { limit, asPdf, mentionPrefix, period, category, memberId } = {}
+) {
+  if (!ensureGroup(ctx)) return;
+  const chatId = ctx.chat?.id;
+  const reportPeriod = period ?? buildTodayPeriod();
+  if (!asPdf) {
+    await sendReportView(ctx, {
+      chat_id: chatId,
+      from: reportPeriod.from,
+      to: reportPeriod.to,
+      category: category ?? null,
+      member_id: memberId ?? null,
+      page_lines: limit ?? REPORT_PAGE_LINES,
+      from_end: Boolean(limit),
+      prefix: mentionPrefix ? withMention(ctx, mentionPrefix) : null,
+    });
+    return;
+  }
+  const events = filterEventsByMember(
+    filterEventsByCategory(await fetchBalanceEvents(chatId, reportPeriod), category),
+    memberId
+  );
+  const ledger = category ? null : await loadReportLedger(chatId, reportPeriod, { memberId });
+  const buffer = await renderChatPdf(chatId, events, {
+    period: reportPeriod,
+    memberId,
+    ledger,
+  });
+  const filename = period ? `report-${reportPeriod.label}.pdf` : "report.pdf";
+  await ctx.replyWithDocument(new InputFile(buffer, filename), {
+    caption: mentionPrefix ? withMention(ctx, mentionPrefix) : undefined,
+  });
+  await recordExportAudit(ctx, "report", "pdf", { period: reportPeriod, memberId });
+}
+
+// Reports without pages or members to pick keep the reply keyboard; the
+// others get inline navigation backed by a report_views document.
+async function sendReportView(ctx, view, built) {
+  const { reportViews } = await ensureDb();
+  view._id = new ObjectId();
+  built ??= await buildReportView(ctx.chat.id, view);
+  const page = getInitialReportPage(view, built.pages);
+  const { html, keyboard } = renderReportPage(view, built, page);
+  if (keyboard) {
+    await reportViews.insertOne({
+      ...view,
+      page,
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + REPORT_VIEW_TTL_MS),
+    });
+  }
+  await ctx.reply(html, { reply_markup: keyboard ?? buildReplyKeyboard(), parse_mode: "HTML" });
+}
+
+async function editReportMessage(ctx, text, options) {
+  try {
+    await ctx.editMessageText(text, options);
+  } catch (err) {
+    if (!String(err?.description ?? err?.message).includes("message is not modified")) throw err;
+  }
+}
+
+async function sendPeriodPdf(ctx, period, { memberId } = {}) {
+  const events = filterEventsByMember(await fetchBalanceEvents(ctx.chat.id, period), memberId);
+  if (!events.length) {
+    await ctx.reply(
+      withMention(ctx, t(period.isRange ? "report.noEntriesPeriod" : "report.noEntriesDate"))
+    );
+    return;
+  }
+  const ledger = await loadReportLedger(ctx.chat.id, period, { memberId });
+  const buffer = await renderChatPdf(ctx.chat.id, events, { period, memberId, ledger });
+  await ctx.replyWithDocument(new InputFile(buffer, `report-${period.label}.pdf`), {
+    caption: withMention(ctx, t("report.caption", { period: period.display })),
+  });
+  await recordExportAudit(ctx, "report", "pdf", { period, memberId });
+}
+
+function getPeriodUsage() {
+  return t("period.usage");
+}
+
+bot.hears([...allTranslations("keyboard.viewReport"), "Vew Report", "🌐 Full Report"], async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  await sendReport(ctx, { limit: 6 });
+});
+
+bot.hears([...allTranslations("keyboard.viewReportPdf"), "View Report (PDF)"], async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  await sendReport(ctx, { asPdf: true });
+});
+
+// Report navigation: "rv:<view>:p:<page>" shows a page, "rv:<view>:m" opens
+// the member picker and "rv:<view>:u:<member|all>" applies the filter.
+bot.callbackQuery(/^rv:([a-f0-9]{24}):(p|m|u)(?::(\w+))?$/, async (ctx) => {
+  const [, id, action, value] = ctx.match;
+  const { reportViews } = await ensureDb();
+  const view = await reportViews.findOne({ _id: new ObjectId(id), chat_id: ctx.chat?.id });
+  if (!view || view.expires_at <= new Date()) {
+    await ctx.answerCallbackQuery({ text: t("report.viewExpired") });
+    return;
+  }
+  if (!(await ensureChatPermission(ctx, "report"))) {
+    await ctx.answerCallbackQuery();
+    return;
+  }
+  await ctx.answerCallbackQuery();
+  if (action === "u") view.member_id = value === "all" ? null : value;
+  const built = await buildReportView(ctx.chat.id, view);
+  if (action === "m") {
+    await ctx.editMessageReplyMarkup({
+      reply_markup: buildMemberPickerKeyboard(built.members, {
+        data: (member) => `rv:${id}:u:${member}`,
+        back: [t("report.back"), `rv:${id}:p:${view.page ?? 0}`],
+      }),
+    });
+    return;
+  }
+  const requested = action === "p" ? Number(value) : getInitialReportPage(view, built.pages);
+  const page = Math.min(Math.max(requested, 0), built.pages.length - 1);
+  await reportViews.updateOne(
+    { _id: view._id },
+    { $set: { page, member_id: view.member_id ?? null } }
+  );
+  const { html, keyboard } = renderReportPage(view, built, page);
+  await editReportMessage(ctx, html, {
+    parse_mode: "HTML",
+    reply_markup: keyboard ?? new InlineKeyboard(),
+  });
+});
+
+// Conversation state lives in Mongo so a restart or a second instance keeps
+// in-progress wizards; the TTL index drops abandoned ones.
+const CONVERSATION_TTL_MS = 10 * 60 * 1000;
+
+function conversationKey(chatId, userId) {
+  return `${chatId}:${userId}`;
+}
+
+async function getConversation(chatId, userId) {
+  const { conversations } = await ensureDb();
+  const doc = await conversations.findOne({ key: conversationKey(chatId, userId) });
+  if (!doc || doc.expires_at <= new Date()) return null;
+  return doc;
+}
+
+async function setConversation(chatId, userId, kind, data, ttlMs = CONVERSATION_TTL_MS) {
+  const { conversations } = await ensureDb();
+  await conversations.updateOne(
+    { key: conversationKey(chatId, userId) },
+    {
+      $set: {
+        key: conversationKey(chatId, userId),
+        chat_id: chatId,
+        user_id: userId,
+        kind,
+        data,
+        expires_at: new Date(Date.now() + ttlMs),
+        updated_at: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+}
+
+async function clearConversation(chatId, userId) {
+  const { conversations } = await ensureDb();
+  await conversations.deleteOne({ key: conversationKey(chatId, userId) });
+}
+
+// Report wizard: period -> format -> member filter. Callback data is
+// "rw:<step>:<value>"; the chosen values live in the conversation document.
+const REPORT_WIZARD = "report_wizard";
+const REPORT_WIZARD_FORMATS = ["text", "pdf", "csv"];
+// Replies the date and range steps treat as answers; other text is left to other handlers.
+const REPORT_WIZARD_DATE_PATTERN = /^(?:\d[\d\s./-]*|(?:today|yesterday|week|month)\b.*)$/i;
+const MEMBER_PICKER_BUTTONS = 8;
+
+function buildWizardPeriodKeyboard() {
+  return new InlineKeyboard()
+    .text(t("wizard.today"), "rw:period:today")
+    .text(t("wizard.yesterday"), "rw:period:yesterday")
+    .row()
+    .text(t("wizard.pickDate"), "rw:period:date")
+    .text(t("wizard.pickRange"), "rw:period:range")
+    .row()
+    .text(t("wizard.cancel"), "rw:cancel");
+}
+
+function buildWizardFormatKeyboard() {
+  const kb = new InlineKeyboard();
+  for (const format of REPORT_WIZARD_FORMATS) {
+    kb.text(t(`wizard.format.${format}`), `rw:format:${format}`);
+  }
+  return kb.row().text(t("wizard.cancel"), "rw:cancel");
+}
+
+function listReportMembers(events) {
+  const members = new Map();
+  for (const e of events) {
+    if (!members.has(String(e.user_id))) members.set(String(e.user_id), displayMemberId(e));
+  }
+  return members;
+}
+
+// "All members" plus the first few members, two per row; `data` builds the
+// callback data for a member id or "all".
+function buildMemberPickerKeyboard(members, { data, back }) {
+  const kb = new InlineKeyboard().text(t("wizard.allMembers"), data("all")).row();
+  Array.from(members.entries())
+    .slice(0, MEMBER_PICKER_BUTTONS)
+    .forEach(([userId, name], idx) => {
+      kb.text(name, data(userId));
+      if (idx % 2 === 1) kb.row();
+    });
+  return kb.row().text(...back);
+}
+
+async function buildWizardMemberKeyboard(chatId, period) {
+  const events = getReportEvents(await fetchBalanceEvents(chatId, period));
+  return buildMemberPickerKeyboard(listReportMembers(events), {
+    data: (value) => `rw:member:${value}`,
+    back: [t("wizard.cancel"), "rw:cancel"],
+  });
+}
+
+async function sendWizardFormatStep(ctx, periodArg, { edit = false } = {}) {
+  const period = parsePeriodArg(periodArg);
+  await setConversation(ctx.chat.id, ctx.from.id, REPORT_WIZARD, {
+    step: "format",
+    period: periodArg,
+  });
+  const text = withMention(ctx, t("wizard.chooseFormat", { period: period.display }));
+  const options = { reply_markup: buildWizardFormatKeyboard() };
+  if (edit) await ctx.editMessageText(text, options);
+  else await ctx.reply(text, options);
+}
+
+async function runReportWizard(ctx, data, memberId) {
+  const period = parsePeriodArg(data.period);
+  if (!period) return;
+  if (data.format === "pdf") {
+    await sendPeriodPdf(ctx, period, { memberId });
+  } else if (data.format === "csv") {
+    await sendLedgerExport(ctx, "csv", period, { memberId });
+  } else {
+    await sendReport(ctx, {
+      period,
+      memberId,
+      mentionPrefix: t("report.hereIsPeriod", { period: period.display }),
+    });
+  }
+}
+
+async function startReportWizard(ctx) {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  await setConversation(ctx.chat.id, ctx.from.id, REPORT_WIZARD, { step: "period" });
+  await ctx.reply(withMention(ctx, t("wizard.choosePeriod")), {
+    reply_markup: buildWizardPeriodKeyboard(),
+  });
+}
+
+bot.hears(allTranslations("keyboard.reportByDate"), startReportWizard);
+bot.command("wizard", startReportWizard);
+
+bot.callbackQuery(/^rw:(period|format|member|cancel)(?::(\w+))?$/, async (ctx) => {
+  const chatId = ctx.chat?.id;
+  const userId = ctx.from?.id;
+  const conversation = chatId && userId ? await getConversation(chatId, userId) : null;
+  if (conversation?.kind !== REPORT_WIZARD) {
+    await ctx.answerCallbackQuery({
+      text: t("wizard.expired"),
+    });
+    return;
+  }
+  await ctx.answerCallbackQuery();
+  const [, step, value] = ctx.match;
+  const data = conversation.data ?? {};
+
+  if (step === "cancel") {
+    await clearConversation(chatId, userId);
+    await ctx.editMessageText(withMention(ctx, t("wizard.cancelled")));
+    return;
+  }
+  if (step === "period") {
+    if (value === "date" || value === "range") {
+      await setConversation(chatId, userId, REPORT_WIZARD, { step: value });
+      await ctx.editMessageText(
+        withMention(ctx, t(value === "date" ? "wizard.sendDate" : "wizard.sendRange"))
+      );
+      return;
+    }
+    await sendWizardFormatStep(ctx, value, { edit: true });
+    return;
+  }
+  if (step === "format" && data.step === "format" && REPORT_WIZARD_FORMATS.includes(value)) {
+    if (value === "csv" && !(await ensureChatPermission(ctx, "export"))) return;
+    const period = parsePeriodArg(data.period);
+    await setConversation(chatId, userId, REPORT_WIZARD, { ...data, step: "member", format: value });
+    await ctx.editMessageText(
+      withMention(
+        ctx,
+        t("wizard.chooseMember", { format: t(`wizard.format.${value}`), period: period.display })
+      ),
+      { reply_markup: await buildWizardMemberKeyboard(chatId, period) }
+    );
+    return;
+  }
+  if (step === "member" && data.step === "member") {
+    await clearConversation(chatId, userId);
+    await ctx.editMessageText(withMention(ctx, t("wizard.preparing")));
+    await runReportWizard(ctx, data, value === "all" ? null : value);
+  }
+});
+
+bot.on("message:text", async (ctx, next) => {
+  const chatId = ctx.chat?.id;
+  const userId = ctx.from?.id;
+  if (!chatId || !userId) return next();
+  const text = ctx.message.text.trim();
+  if (text.startsWith("/")) return next();
+  if (text === "*" || text === "**") return next();
+  const conversation = await getConversation(chatId, userId);
+  if (conversation?.kind !== REPORT_WIZARD) return next();
+  const step = conversation.data?.step;
+  if (step !== "date" && step !== "range") return next();
+
+  // A +/- entry or chat posted meanwhile is not an answer; let it through.
+  const period = parsePeriodArg(text);
+  if (!period && !REPORT_WIZARD_DATE_PATTERN.test(text)) return next();
+  if (!period || (step === "date" && period.isRange)) {
+    await ctx.reply(
+      withMention(ctx, t(step === "date" ? "wizard.invalidDate" : "wizard.invalidRange"))
+    );
+    return;
+  }
+  await sendWizardFormatStep(ctx, text.toLowerCase());
+});
+
+bot.command("calculation", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  await ctx.reply(withMention(ctx, t("calculation.prompt")), {
+    reply_markup: buildReplyKeyboard(),
+  });
+});
+
+bot.command("setbalanceadmin", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  const chatId = ctx.chat?.id;
+  const fromId = ctx.from?.id;
+  if (!chatId || !fromId) return;
+
+  try {
+    if (!(await isTelegramChatAdmin(ctx))) {
+      await ctx.reply(withMention(ctx, t("roles.onlyChatAdmins")));
+      return;
+    }
+  } catch (err) {
+    console.error("Failed to verify admin status", err);
+    await ctx.reply(withMention(ctx, t("roles.verifyFailed")));
+    return;
+  }
+
+  const text = ctx.message?.text ?? "";
+  const arg = text.split(" ").slice(1).join(" ").trim();
+  const target = await resolveCommandTarget(ctx, arg);
+  if (!target?.id) {
+    await ctx.reply(withMention(ctx, t("roles.setAdminUsage")));
+    return;
+  }
+
+  await setChatRole(ctx, target, "owner");
+  await ctx.reply(withMention(ctx, t("roles.adminSet", { user: target.username ?? target.id })));
+});
+
+bot.command("addoperator", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureRoleManager(ctx))) return;
+  const args = (ctx.message?.text ?? "").split(" ").slice(1).filter(Boolean);
+  const roleArg = args.find((a) => ROLES.includes(a.toLowerCase()));
+  const role = roleArg ? roleArg.toLowerCase() : "operator";
+  const targetArg = args.find((a) => a !== roleArg);
+  const target = await resolveCommandTarget(ctx, targetArg);
+  if (!target?.id) {
+    await ctx.reply(
+      withMention(
+        ctx,
+        t("roles.addUsage", { roles: ROLES.join("|") })
+      )
+    );
+    return;
+  }
+  const roles = await listChatRoles(ctx.chat.id);
+  const current = roles.find((r) => String(r.user_id) === String(target.id));
+  if (current && role !== "owner" && isLastOwner(roles, current)) {
+    await ctx.reply(withMention(ctx, t("roles.lastOwner")));
+    return;
+  }
+  await setChatRole(ctx, target, role);
+  await ctx.reply(withMention(ctx, t("roles.assigned", { user: target.username ?? target.id, role })));
+});
+
+bot.command("removeoperator", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureRoleManager(ctx))) return;
+  const arg = (ctx.message?.text ?? "").split(" ").slice(1).join(" ").trim();
+  const target = await resolveCommandTarget(ctx, arg);
+  if (!target?.id) {
+    await ctx.reply(
+      withMention(ctx, t("roles.removeUsage"))
+    );
+    return;
+  }
+  const roles = await listChatRoles(ctx.chat.id);
+  const current = roles.find((r) => String(r.user_id) === String(target.id));
+  if (!current) {
+    await ctx.reply(withMention(ctx, t("roles.noRole")));
+    return;
+  }
+  if (isLastOwner(roles, current)) {
+    await ctx.reply(withMention(ctx, t("roles.lastOwner")));
+    return;
+  }
+  const { balanceAdmins } = await ensureDb();
+  await balanceAdmins.deleteOne({ _id: current._id });
+  await recordAudit(ctx, "role.remove", {
+    target: { id: current.user_id, username: current.username, first_name: current.name },
+    before: getRoleName(current),
+  });
+  await ctx.reply(
+    withMention(
+      ctx,
+      t("roles.removed", { role: getRoleName(current), user: current.username ?? current.user_id })
+    )
+  );
+});
+
+bot.command("roles", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  const roles = await listChatRoles(ctx.chat.id);
+  if (!roles.length) {
+    await ctx.reply(withMention(ctx, t("roles.none")));
+    return;
+  }
+  const lines = ROLES.flatMap((role) => {
+    const members = roles.filter((r) => getRoleName(r) === role);
+    if (!members.length) return [];
+    const names = members.map((r) => (r.username ? `@${r.username}` : r.name || String(r.user_id)));
+    return [`${role} (${ROLE_PERMISSIONS[role].join(", ")}): ${names.join(", ")}`];
+  });
+  await ctx.reply(withMention(ctx, `${t("roles.heading")}\n${lines.join("\n")}`));
+});
+
+async function fetchAuditEntries(chatId, { period, actorId, limit = AUDIT_LIST_LIMIT } = {}) {
+  const { auditLog } = await ensureDb();
+  const query = { chat_id: chatId };
+  if (period) query.timestamp = { $gte: period.start, $lt: period.end };
+  if (actorId) query.actor_id = actorId;
+  const [entries, total] = await Promise.all([
+    auditLog.find(query).sort({ timestamp: -1 }).limit(limit).toArray(),
+    auditLog.countDocuments(query),
+  ]);
+  return { entries: entries.reverse(), total };
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "number") return formatAmountWithCommas(value);
+  if (typeof value !== "object") return String(value);
+  const parts = Object.entries(value)
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([key, v]) => `${key}=${typeof v === "object" ? JSON.stringify(v) : v}`);
+  return parts.length ? parts.join(" ") : "—";
+}
+
+function buildAuditLine(entry) {
+  const when = `${formatDateDMY(entry.timestamp)} ${formatTime(entry.timestamp)}`;
+  const actor = entry.actor_username ?? entry.actor_name ?? String(entry.actor_id ?? t("common.unknown"));
+  const target = entry.target_id
+    ? ` ${displayMemberId({ username: entry.target_username, user_id: entry.target_id })}`
+    : "";
+  const change =
+    entry.before === null && entry.after === null
+      ? formatAuditValue(entry.details)
+      : `${formatAuditValue(entry.before)} → ${formatAuditValue(entry.after)}`;
+  const text = escapeHtml(`${when} ${actor}: ${t(`audit.action.${entry.action}`)}${target} ${change}`);
+  return entry.message_link ? `${text} <a href="${escapeHtml(entry.message_link)}">↗</a>` : text;
+}
+
+// /audit [period] [@user]: latest audit entries, optionally for one actor.
+bot.command("audit", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "audit"))) return;
+  const tokens = (ctx.message?.text ?? "").split(" ").slice(1).filter(Boolean);
+  const actorArg = tokens.find((token) => token.startsWith("@"));
+  const periodArg = tokens.filter((token) => token !== actorArg).join(" ");
+  const period = periodArg ? parsePeriodArg(periodArg) : null;
+  if (periodArg && !period) {
+    await ctx.reply(withMention(ctx, t("period.invalid", { example: "/audit week @username" })));
+    return;
+  }
+  let actor = null;
+  if (actorArg || ctx.message?.reply_to_message) {
+    actor = await resolveCommandTarget(ctx, actorArg);
+    if (!actor?.id) {
+      await ctx.reply(withMention(ctx, t("audit.unknownActor")));
+      return;
+    }
+  }
+  const { entries, total } = await fetchAuditEntries(ctx.chat.id, {
+    period,
+    actorId: actor?.id,
+  });
+  if (!entries.length) {
+    await ctx.reply(withMention(ctx, t("audit.none")));
+    return;
+  }
+  const heading = period
+    ? t("audit.headingPeriod", { period: period.display })
+    : t("audit.heading");
+  const lines = [`<b>${escapeHtml(heading)}</b>`, ...entries.map(buildAuditLine)];
+  if (total > entries.length) {
+    lines.push(escapeHtml(t("audit.showing", { shown: entries.length, total })));
+  }
+  await replyWithHtmlLines(ctx, lines, { link_preview_options: { is_disabled: true } });
+});
+
+bot.command("pdf", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  const text = ctx.message?.text ?? "";
+  const arg = text.split(" ").slice(1).join(" ").trim();
+  if (!arg) {
+    await ctx.reply(
+      withMention(ctx, t("pdf.usage", { usage: getPeriodUsage() }))
+    );
+    return;
+  }
+  const period = parsePeriodArg(arg);
+  if (!period) {
+    await ctx.reply(
+      withMention(ctx, t("period.invalid", { example: "/pdf 27122025" }))
+    );
+    return;
+  }
+  await sendPeriodPdf(ctx, period);
+});
+
+bot.command("balance", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  const text = ctx.message?.text ?? "";
+  const arg = text.split(" ").slice(1).join(" ").trim();
+  const isSigned = /^[+-]/.test(arg);
+  if (!isSigned && (arg || ctx.message?.reply_to_message)) {
+    // No signed amount: read-only balance lookup.
+    if (!(await ensureChatPermission(ctx, "report"))) return;
+    const target = await resolveCommandTarget(ctx, arg);
+    if (!target?.id) {
+      await ctx.reply(withMention(ctx, t("balance.unknownMember")));
+      return;
+    }
+    await replyWithMemberBalance(ctx, target);
+    return;
+  }
+  if (!(await ensureBalanceAdmin(ctx))) return;
+  if (!arg) {
+    await ctx.reply(withMention(ctx, t("balance.usage")));
+    return;
+  }
+  const parsed = parseBalanceInput(arg);
+  if (!parsed) {
+    await ctx.reply(
+      withMention(ctx, t("balance.signedNumber"))
+    );
+    return;
+  }
+
+  try {
+    await postBalanceEntry(ctx, parsed, { mentionPrefix: t("balance.updated") });
+  } catch (err) {
+    console.error("Failed to update balance", err);
+    await ctx.reply(withMention(ctx, t("balance.updateFailed")));
+  }
+});
+
+bot.command("mybalance", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!ctx.from?.id) return;
+  await replyWithMemberBalance(ctx, ctx.from);
+});
+
+bot.command("balances", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  const arg = (ctx.message?.text ?? "").split(" ").slice(1).join(" ").trim().toLowerCase();
+  const docs = await fetchMemberBalances(ctx.chat.id);
+  if (!docs.length) {
+    await ctx.reply(withMention(ctx, t("balances.none")));
+    return;
+  }
+  if (arg === "pdf") {
+    const buffer = await renderChatPdf(ctx.chat.id, [], { balances: docs });
+    await ctx.replyWithDocument(new InputFile(buffer, "balances.pdf"), {
+      caption: withMention(ctx, t("balances.caption")),
+    });
+    await recordExportAudit(ctx, "balances", "pdf");
+    return;
+  }
+  await replyWithPre(ctx, buildBalanceLines(docs));
+});
+
+// Posted, unvoided entries at their current (possibly edited) amount are the
+// source of truth. Reversals and adjustments only restate changes to those
+// entries, and failed and pending entries never count. Reports, /close and
+// /reconcile all read balances from here.
+async function computeLedgerBalances(chatId, { before, memberId } = {}) {
+  const { balanceEvents } = await ensureDb();
+  const match = {
+    chat_id: chatId,
+    type: { $nin: ["reversal", "adjustment"] },
+    voided: { $ne: true },
+    status: { $in: [null, "posted"] },
+  };
+  if (before) match.timestamp = { $lt: before };
+  if (memberId) match.user_id = Number(memberId);
+  return balanceEvents
+    .aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: "$user_id",
+          balance: { $sum: { $ifNull: ["$current_delta", "$delta"] } },
+          username: { $last: "$username" },
+          name: { $last: "$name" },
+        },
+      },
+    ])
+    .toArray();
+}
+
+async function reconcileBalances(chatId, { apply = true } = {}) {
+  const { balances } = await ensureDb();
+  const expected = await computeLedgerBalances(chatId);
+  const stored = await fetchMemberBalances(chatId);
+  const storedByUser = new Map(stored.map((doc) => [String(doc.user_id), doc]));
+  const drift = [];
+  for (const row of expected) {
+    const doc = storedByUser.get(String(row._id));
+    storedByUser.delete(String(row._id));
+    const actual = Number(doc?.balance) || 0;
+    const target = roundAmount(row.balance);
+    if (Math.abs(actual - target) < 0.005 && doc) continue;
+    drift.push({
+      user_id: row._id,
+      username: row.username,
+      member: displayMemberId({ username: row.username, user_id: row._id }),
+      stored: actual,
+      expected: target,
+    });
+    if (apply) {
+      await balances.updateOne(
+        { chat_id: chatId, user_id: row._id },
+        {
+          $set: { balance: target, updated_at: new Date(), reconciled_at: new Date() },
+          $setOnInsert: {
+            chat_id: chatId,
+            user_id: row._id,
+            username: row.username,
+            name: row.name,
+            created_at: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+    }
+  }
+  // Balances without any posted event should be zero.
+  for (const doc of storedByUser.values()) {
+    if (Math.abs(Number(doc.balance) || 0) < 0.005) continue;
+    drift.push({
+      user_id: doc.user_id,
+      username: doc.username,
+      member: displayMemberId(doc),
+      stored: Number(doc.balance) || 0,
+      expected: 0,
+    });
+    if (apply) {
+      await balances.updateOne(
+        { _id: doc._id },
+        { $set: { balance: 0, updated_at: new Date(), reconciled_at: new Date() } }
+      );
+    }
+  }
+  return { drift, members: expected.length };
+}
+
+// /close [day]: freezes a business day's opening, closing and per-member
+// balances. Later changes to that day still go through, but reports flag them.
+async function closeBusinessDay(ctx, period) {
+  const chatId = ctx.chat.id;
+  const [events, opening] = await Promise.all([
+    fetchBalanceEvents(chatId, period),
+    fetchOpeningBalances(chatId, period.start),
+  ]);
+  const summary = summarizeLedger(events, { opening });
+  const memberIds = new Set([...Object.keys(opening.members), ...summary.members.keys()]);
+  const members = [...memberIds].map((key) => ({
+    user_id: Number(key),
+    opening: opening.members[key] ?? 0,
+    closing: summary.members.get(key)?.closing ?? opening.members[key] ?? 0,
+  }));
+  const day = formatIsoDay(period.from);
+  const closing = {
+    chat_id: chatId,
+    day,
+    start: period.start,
+    end: period.end,
+    opening: summary.opening,
+    closing: summary.closing,
+    entries: summary.running.size,
+    members,
+    closed_at: new Date(),
+    closed_by: ctx.from?.id,
+    closed_by_username: ctx.from?.username,
+  };
+  const { dayClosings } = await ensureDb();
+  const previous = await dayClosings.findOneAndUpdate(
+    { chat_id: chatId, day },
+    { $set: closing, $setOnInsert: { created_at: new Date() } },
+    { upsert: true, returnDocument: "before" }
+  );
+  await recordAudit(ctx, "day.close", {
+    before: previous?.closing ?? null,
+    after: closing.closing,
+    details: { day },
+  });
+  return { closing, previous };
+}
+
+// Changes to a closed day go through, but whoever makes them is told.
+async function warnIfDayClosed(ctx, event) {
+  const day = getBusinessDay(event.timestamp);
+  const [closing] = await fetchDayClosings(ctx.chat.id, day, day);
+  if (!closing) return;
+  await ctx.reply(withMention(ctx, t("close.changedClosedDay", { day: formatDisplayDay(day) })));
+}
+
+bot.command("close", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  const arg = (ctx.message?.text ?? "").split(" ").slice(1).join(" ").trim();
+  const period = parsePeriodArg(arg || "today");
+  if (!period || period.isRange) {
+    await ctx.reply(withMention(ctx, t("close.usage")));
+    return;
+  }
+  if (period.start.getTime() > Date.now()) {
+    await ctx.reply(withMention(ctx, t("close.future")));
+    return;
+  }
+  try {
+    const { closing, previous } = await closeBusinessDay(ctx, period);
+    const params = {
+      day: period.display,
+      opening: formatAmountWithCommas(closing.opening),
+      closing: formatAmountWithCommas(closing.closing),
+      entries: closing.entries,
+    };
+    await ctx.reply(
+      withMention(
+        ctx,
+        previous
+          ? t("close.reclosed", { ...params, previous: formatAmountWithCommas(previous.closing) })
+          : t("close.done", params)
+      )
+    );
+  } catch (err) {
+    console.error("Failed to close business day", err);
+    await ctx.reply(withMention(ctx, t("close.failed")));
+  }
+});
+
+bot.command("reconcile", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  const arg = (ctx.message?.text ?? "").split(" ").slice(1).join(" ").trim().toLowerCase();
+  const apply = arg !== "check";
+  try {
+    const { drift, members } = await reconcileBalances(ctx.chat.id, { apply });
+    if (apply) {
+      for (const d of drift) {
+        await recordAudit(ctx, "balance.reconcile", {
+          target: { id: d.user_id, username: d.username },
+          before: d.stored,
+          after: d.expected,
+        });
+      }
+    }
+    if (!drift.length) {
+      await ctx.reply(withMention(ctx, t("reconcile.clean", { members })));
+      return;
+    }
+    const lines = drift.map((d) =>
+      t("reconcile.line", {
+        member: d.member,
+        stored: formatAmountWithCommas(d.stored),
+        ledger: formatAmountWithCommas(d.expected),
+        drift: formatSignedAmountWithCommas(roundAmount(d.stored - d.expected)),
+      })
+    );
+    const heading = apply
+      ? t("reconcile.fixed", { count: drift.length })
+      : t("reconcile.found", { count: drift.length });
+    await replyWithPre(ctx, [heading, ...lines]);
+  } catch (err) {
+    console.error("Failed to reconcile balances", err);
+    await ctx.reply(withMention(ctx, t("reconcile.failed")));
+  }
+});
+
+async function voidEventAndReport(ctx, event) {
+  if (isVoidedEvent(event)) {
+    await ctx.reply(withMention(ctx, t("void.alreadyVoided")));
+    return;
+  }
+  const voided = await voidBalanceEvent(ctx, event);
+  if (!voided) {
+    await ctx.reply(withMention(ctx, t("void.alreadyVoided")));
+    return;
+  }
+  await warnIfDayClosed(ctx, event);
+  await sendReport(ctx, {
+    limit: 6,
+    mentionPrefix: t("void.done", {
+      amount: formatSignedAmountWithCommas(getEventGross(event)),
+      member: displayMemberId(event),
+    }),
+  });
+}
+
+bot.command("undo", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureBalanceAdmin(ctx))) return;
+  try {
+    const event = await findLastEntryEventByAdmin(ctx.chat.id, ctx.from.id);
+    if (!event) {
+      await ctx.reply(withMention(ctx, t("void.nothingToUndo")));
+      return;
+    }
+    await voidEventAndReport(ctx, event);
+  } catch (err) {
+    console.error("Failed to undo balance entry", err);
+    await ctx.reply(withMention(ctx, t("void.undoFailed")));
+  }
+});
+
+bot.command("void", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureBalanceAdmin(ctx))) return;
+  const repliedId = ctx.message?.reply_to_message?.message_id;
+  if (!repliedId) {
+    await ctx.reply(withMention(ctx, t("void.usage")));
+    return;
+  }
+  try {
+    const event = await findEntryEventByMessage(ctx.chat.id, repliedId);
+    if (!event) {
+      await ctx.reply(withMention(ctx, t("void.notAnEntry")));
+      return;
+    }
+    await voidEventAndReport(ctx, event);
+  } catch (err) {
+    console.error("Failed to void balance entry", err);
+    await ctx.reply(withMention(ctx, t("void.failed")));
+  }
+});
+
+bot.on("message:text", async (ctx, next) => {
+  const text = ctx.message.text.trim();
+  if (text.startsWith("/")) return next();
+  if (text !== "*" && text !== "**") return next();
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureBalanceAdmin(ctx))) return;
+  const replied = ctx.message.reply_to_message;
+  const target = replied?.from;
+  if (!target?.id) {
+    await ctx.reply(withMention(ctx, t("status.usage")));
+    return;
+  }
+  const status = text === "**" ? "pending" : "failed";
+  const notice =
+    status === "pending"
+      ? `<b>⚠️ ${escapeHtml(t("status.pendingNotice"))}</b>`
+      : `<b>⚠️ ${escapeHtml(t("status.failedNotice"))}</b>`;
+
+  let event = null;
+  try {
+    event = await findEntryEventByMessage(ctx.chat.id, replied.message_id);
+    if (event && !isVoidedEvent(event) && (await setBalanceEventStatus(ctx, event, status))) {
+      await warnIfDayClosed(ctx, event);
+    }
+  } catch (err) {
+    console.error("Failed to update transaction status", err);
+    await ctx.reply(withMention(ctx, t("status.failed")));
+    return;
+  }
+
+  if (!event || isVoidedEvent(event)) {
+    await ctx.reply(`${mentionUserByUser(target)} ${notice}`, { parse_mode: "HTML" });
+    return;
+  }
+  const member = escapeHtml(displayMemberId(event));
+  const amount = escapeHtml(formatSignedAmountWithCommas(getEventGross(event)));
+  const kb =
+    status === "pending"
+      ? new InlineKeyboard().text(t("status.markReceived"), `received:${event._id}`)
+      : undefined;
+  await ctx.reply(`${member} ${amount} ${notice}`, {
+    parse_mode: "HTML",
+    reply_markup: kb,
+  });
+  await sendReport(ctx, { limit: 6 });
+});
+
+bot.callbackQuery(/^received:([a-f0-9]{24})$/, async (ctx) => {
+  if (!(await ensureBalanceAdmin(ctx))) {
+    await ctx.answerCallbackQuery();
+    return;
+  }
+  const event = await findEventById(ctx.chat?.id, ctx.match[1]);
+  if (!event || !isPendingEvent(event) || isVoidedEvent(event)) {
+    await ctx.answerCallbackQuery({ text: t("status.notPending") });
+    return;
+  }
+  try {
+    await setBalanceEventStatus(ctx, event, "posted");
+  } catch (err) {
+    console.error("Failed to mark entry as received", err);
+    await ctx.answerCallbackQuery({ text: t("status.receiveFailed") });
+    return;
+  }
+  await ctx.answerCallbackQuery({ text: t("status.received") });
+  const member = escapeHtml(displayMemberId(event));
+  const amount = escapeHtml(formatSignedAmountWithCommas(getEventGross(event)));
+  await ctx.editMessageText(`${member} ${amount} <b>✅ ${escapeHtml(t("status.receivedNotice"))}</b>`, {
+    parse_mode: "HTML",
+  });
+  await warnIfDayClosed(ctx, event);
+  await sendReport(ctx, { limit: 6 });
+});
+
+// Balance adjustments: +number or -number, optionally followed by a #category
+// and a note (requires privacy mode disabled)
+bot.on("message:text", async (ctx, next) => {
+  const text = ctx.message.text.trim();
+  if (text.startsWith("/")) return next();
+  const cleaned = botUsername ? text.replace(`@${botUsername}`, "").trim() : text;
+  const parsed = parseBalanceInput(cleaned, { strict: true });
+  if (!parsed) return next();
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureBalanceAdmin(ctx))) return;
+
+  try {
+    await postBalanceEntry(ctx, parsed);
+  } catch (err) {
+    console.error("Failed to update balance", err);
+    await ctx.reply(t("balance.updateFailed"));
+  }
+});
+
+// Edited +/- messages re-apply their ledger entry, or update the confirmation
+// still waiting for it.
+bot.on("edited_message:text", async (ctx) => {
+  const edited = ctx.editedMessage;
+  const event = await findEntryEventByMessage(ctx.chat?.id, edited.message_id);
+  if (event && isVoidedEvent(event)) return;
+  const pending = await findWaitingConfirmation(ctx.chat?.id, edited.message_id, event?._id);
+  if (!event && !pending) return;
+  if (!(await ensureBalanceAdmin(ctx))) return;
+
+  const isCommand = /^\/balance(?:@\w+)?(?:\s|$)/i.test(edited.text.trim());
+  const text = edited.text.trim().replace(/^\/balance(?:@\w+)?\s*/i, "");
+  const cleaned = botUsername ? text.replace(`@${botUsername}`, "").trim() : text;
+  const parsed = parseBalanceInput(cleaned, { strict: !isCommand });
+  try {
+    if (pending && (parsed || !event)) {
+      await refreshEntryConfirmation(ctx, pending, parsed, event);
+      return;
+    }
+    if (pending) await cancelEntryConfirmation(ctx, pending);
+    if (!parsed) {
+      const oldAmount = formatSignedAmountWithCommas(getEventGross(event));
+      if (await voidBalanceEvent(ctx, event)) await warnIfDayClosed(ctx, event);
+      await sendReport(ctx, {
+        limit: 6,
+        mentionPrefix: t("edit.voided", { amount: oldAmount, member: displayMemberId(event) }),
+      });
+      return;
+    }
+    await applyBalanceEdit(ctx, event, parsed);
+  } catch (err) {
+    console.error("Failed to apply edited balance entry", err);
+    await ctx.reply(withMention(ctx, t("edit.failed")));
+  }
+});
+
+// Free text is allowed; keep only explicit commands and handlers.
+
+bot.command("export", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "export"))) return;
   const text = ctx.message?.text ?? "";
-  const arg = text.split(" ").slice(1).join(" ").trim();
-  const argId = arg && /^\d+$/.test(arg) ? Number(arg) : null;
-  const targetId = target?.id ?? argId;
-  if (!targetId) {
-    await ctx.reply(withMention(ctx, "Reply to a user's message or use /setbalanceadmin <user_id>."));
+  const [format, ...rest] = text.split(" ").slice(1).filter(Boolean);
+  const kind = format?.toLowerCase();
+  if (kind !== "csv" && kind !== "xlsx") {
+    await ctx.reply(
+      withMention(ctx, t("export.usage", { usage: getPeriodUsage() }))
+    );
+    return;
+  }
+  const arg = rest.join(" ");
+  const period = arg ? parsePeriodArg(arg) : buildTodayPeriod();
+  if (!period) {
+    await ctx.reply(
+      withMention(ctx, t("period.invalid", { example: "/export csv week" }))
+    );
+    return;
+  }
+  await sendLedgerExport(ctx, kind, period);
+});
+
+async function sendLedgerExport(ctx, kind, period, { memberId } = {}) {
+  const events = filterEventsByMember(await fetchBalanceEvents(ctx.chat.id, period), memberId);
+  if (!events.length) {
+    await ctx.reply(
+      withMention(ctx, t(period.isRange ? "report.noEntriesPeriod" : "report.noEntriesDate"))
+    );
+    return;
+  }
+  const label = memberId ? `${period.label}-${memberId}` : period.label;
+  const caption = withMention(ctx, t("export.caption", { period: period.display }));
+  if (kind === "xlsx") {
+    const buffer = await buildLedgerXlsx(events, { period });
+    await ctx.replyWithDocument(new InputFile(buffer, `ledger-${label}.xlsx`), {
+      caption,
+    });
+    await recordExportAudit(ctx, "ledger", kind, { period, memberId });
+    return;
+  }
+  await ctx.replyWithDocument(
+    new InputFile(toCsv(EXPORT_COLUMNS, buildExportRows(events)), `ledger-${label}.csv`),
+    { caption }
+  );
+  await ctx.replyWithDocument(
+    new InputFile(
+      toCsv(EXPORT_SUMMARY_COLUMNS, buildExportSummaryRows(events)),
+      `summary-${label}.csv`
+    )
+  );
+  await recordExportAudit(ctx, "ledger", kind, { period, memberId });
+}
+
+// Calculation report
+bot.command("report", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  const text = ctx.message?.text ?? "";
+  const tokens = text.split(" ").slice(1).filter(Boolean);
+  const category = normalizeCategory(tokens.find((token) => token.startsWith("#")));
+  const arg = tokens.filter((token) => !token.startsWith("#")).join(" ");
+  const period = arg ? parsePeriodArg(arg) : null;
+  if (arg && !period) {
+    await ctx.reply(withMention(ctx, t("period.invalid", { example: "/report week #topup" })));
+    return;
+  }
+  const label = category ? t("report.categoryLabel", { category }) : t("report.label");
+  await sendReport(ctx, {
+    mentionPrefix: period
+      ? t("report.hereIsLabelPeriod", { label, period: period.display })
+      : t("report.hereIsLabel", { label }),
+    period: period ?? undefined,
+    category,
+  });
+});
+
+// Transaction history (/history) and search (/find). Both list entries with
+// their date, newest HISTORY_EVENT_LIMIT at most, and page through report views.
+const HISTORY_EVENT_LIMIT = 1000;
+const HISTORY_FORMATS = ["pdf", "csv"];
+const AMOUNT_QUERY_PATTERN = /^[+-]?\d{1,3}(?:,\d{3})*(?:\.\d+)?$|^[+-]?\d+(?:\.\d+)?$/;
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "[from] [to]" as two days, or any single period /report accepts.
+function parseHistoryPeriod(tokens) {
+  if (tokens.length === 2 && tokens.every((token) => /^\d{8}$/.test(token))) {
+    return parsePeriodArg(tokens.join("-"));
+  }
+  return parsePeriodArg(tokens.join(" "));
+}
+
+// Unsigned amounts match entries in either direction.
+function parseAmountQuery(token) {
+  if (!AMOUNT_QUERY_PATTERN.test(token)) return null;
+  const amount = Number(token.replace(/,/g, ""));
+  if (!Number.isFinite(amount) || amount === 0) return null;
+  return /^[+-]/.test(token) ? [amount] : [amount, -amount];
+}
+
+async function fetchHistoryEvents(chatId, { period, memberId, amounts, text } = {}) {
+  const { balanceEvents } = await ensureDb();
+  const query = { chat_id: chatId, type: { $nin: ["reversal", "adjustment"] } };
+  if (period) query.timestamp = { $gte: period.start, $lt: period.end };
+  if (memberId) query.user_id = Number(memberId);
+  // Edited entries match on their current amounts, not the originally posted ones.
+  if (amounts) {
+    query.$expr = {
+      $or: [
+        { $in: [{ $ifNull: ["$current_gross", "$gross"] }, amounts] },
+        { $in: [{ $ifNull: ["$current_delta", "$delta"] }, amounts] },
+      ],
+    };
+  } else if (text) {
+    const pattern = new RegExp(escapeRegExp(text), "i");
+    query.$or = ["note", "category", "username", "name", "expression"].map((field) => ({
+      [field]: pattern,
+    }));
+  }
+  const events = await balanceEvents
+    .find(query)
+    .sort({ timestamp: -1 })
+    .limit(HISTORY_EVENT_LIMIT)
+    .toArray();
+  return events.reverse();
+}
+
+// Without dates the history spans its first to last entry, which also gives
+// PDFs and file names a period.
+function getHistoryPeriod(view, events) {
+  if (view.from) return buildPeriod(view.from, view.to);
+  if (!events.length) return null;
+  return buildPeriod(
+    getBusinessDay(events[0].timestamp),
+    getBusinessDay(events[events.length - 1].timestamp)
+  );
+}
+
+function describeHistoryQuery(view) {
+  if (view.amounts) {
+    const [amount] = view.amounts;
+    return `🔎 ${
+      view.amounts.length > 1
+        ? formatAmountWithCommas(Math.abs(amount))
+        : formatSignedAmountWithCommas(amount)
+    }`;
+  }
+  if (view.text) return `🔎 "${view.text}"`;
+  return null;
+}
+
+function getHistoryTitle(view) {
+  return `📜 ${t(view.amounts || view.text ? "history.findTitle" : "history.title")}`;
+}
+
+function buildHistoryLines(events, view, members) {
+  const memberName = view.member_id ? members.get(String(view.member_id)) ?? view.member_id : null;
+  const lines = [
+    getHistoryTitle(view),
+    "",
+    `📅 ${view.from ? buildPeriod(view.from, view.to).display : t("history.allTime")}`,
+  ];
+  if (memberName) lines.push(`👤 ${memberName}`);
+  const query = describeHistoryQuery(view);
+  if (query) lines.push(query);
+  lines.push("────────────────");
+  const headerEnd = lines.length;
+  for (const e of events) {
+    const line = buildReportEntryLineText(e, { withDate: true });
+    lines.push(isPendingEvent(e) ? `${line} ⏳` : line);
+  }
+  const entriesEnd = lines.length;
+  lines.push(
+    "────────────────",
+    t("report.entryCount", { count: events.length }),
+    `💵 ${t("report.total")}: ${formatAmountWithCommas(sumReportTotal(events))}`
+  );
+  if (events.length >= HISTORY_EVENT_LIMIT) {
+    lines.push(t("history.truncated", { limit: HISTORY_EVENT_LIMIT }));
+  }
+  return { lines, headerEnd, entriesEnd };
+}
+
+async function buildHistoryView(chatId, view) {
+  const period = view.from ? buildPeriod(view.from, view.to) : null;
+  const events = await fetchHistoryEvents(chatId, {
+    period,
+    memberId: view.member_id,
+    amounts: view.amounts,
+    text: view.text,
+  });
+  const members = listReportMembers(events);
+  const report = buildHistoryLines(events, view, members);
+  const pages = paginateReport(report, { pageLines: view.page_lines, fromEnd: view.from_end });
+  return { pages, period, members, events };
+}
+
+async function sendHistory(ctx, view, format) {
+  if (format && !(await ensureChatPermission(ctx, "export"))) return;
+  const built = await buildHistoryView(ctx.chat.id, view);
+  const { events } = built;
+  if (!events.length) {
+    await ctx.reply(withMention(ctx, t("history.none")));
+    return;
+  }
+  if (!format) {
+    await sendReportView(ctx, view, built);
+    return;
+  }
+  const period = getHistoryPeriod(view, events);
+  const label = view.member_id ? `${period.label}-${view.member_id}` : period.label;
+  const caption = withMention(ctx, t("history.caption", { period: period.display }));
+  const buffer =
+    format === "pdf"
+      ? await renderChatPdf(ctx.chat.id, events, {
+          period,
+          memberId: view.member_id,
+          scope: `history:${period.label}:${JSON.stringify(view.amounts ?? view.text ?? null)}`,
+          title: getHistoryTitle(view),
+        })
+      : toCsv(EXPORT_COLUMNS, buildExportRows(events, { current: true }));
+  await ctx.replyWithDocument(new InputFile(buffer, `history-${label}.${format}`), { caption });
+  await recordExportAudit(ctx, "history", format, { period, memberId: view.member_id });
+}
+
+function buildHistoryViewDoc(ctx, period, fields) {
+  return {
+    kind: "history",
+    chat_id: ctx.chat.id,
+    from: period?.from ?? null,
+    to: period?.to ?? null,
+    member_id: null,
+    page_lines: REPORT_PAGE_LINES,
+    from_end: true,
+    prefix: null,
+    ...fields,
+  };
+}
+
+// /history [@member|reply] [from] [to] [pdf|csv]
+bot.command("history", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  const tokens = (ctx.message?.text ?? "").split(" ").slice(1).filter(Boolean);
+  const format = HISTORY_FORMATS.includes(tokens.at(-1)?.toLowerCase())
+    ? tokens.pop().toLowerCase()
+    : null;
+  const memberArg = tokens.find((token) => token.startsWith("@"));
+  const periodTokens = tokens.filter((token) => token !== memberArg);
+  const period = periodTokens.length ? parseHistoryPeriod(periodTokens) : null;
+  if (periodTokens.length && !period) {
+    await ctx.reply(withMention(ctx, t("history.usage")));
+    return;
+  }
+  let member = null;
+  if (memberArg || ctx.message?.reply_to_message) {
+    member = await resolveCommandTarget(ctx, memberArg);
+    if (!member?.id) {
+      await ctx.reply(withMention(ctx, t("balance.unknownMember")));
+      return;
+    }
+  }
+  await sendHistory(
+    ctx,
+    buildHistoryViewDoc(ctx, period, { member_id: member ? String(member.id) : null }),
+    format
+  );
+});
+
+// /find <amount|text> [period] [pdf|csv]
+bot.command("find", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  const tokens = (ctx.message?.text ?? "").split(" ").slice(1).filter(Boolean);
+  const format = HISTORY_FORMATS.includes(tokens.at(-1)?.toLowerCase())
+    ? tokens.pop().toLowerCase()
+    : null;
+  // A trailing period is taken off the longest first, as long as a query is left.
+  let period = null;
+  for (const size of [2, 1]) {
+    if (tokens.length <= size) continue;
+    period = parseHistoryPeriod(tokens.slice(-size));
+    if (period) {
+      tokens.splice(-size);
+      break;
+    }
+  }
+  const query = tokens.join(" ").trim();
+  if (!query) {
+    await ctx.reply(withMention(ctx, t("find.usage")));
+    return;
+  }
+  const amounts = tokens.length === 1 ? parseAmountQuery(query) : null;
+  await sendHistory(
+    ctx,
+    buildHistoryViewDoc(ctx, period, amounts ? { amounts } : { text: query }),
+    format
+  );
+});
+
+// Fee rules: "2%", "1.5% min 500", "1000" (fixed), each with optional min/max.
+function parseFeeRule(tokens) {
+  const [amountToken, ...rest] = tokens;
+  const match = String(amountToken ?? "").match(/^(\d+(?:[.,]\d+)*)(%?)$/);
+  if (!match) return null;
+  // Commas only group thousands, so "1,5%" is rejected rather than read as 15%.
+  if (match[2] && match[1].includes(",")) return null;
+  const value = Number(match[1].replace(/,/g, ""));
+  if (!Number.isFinite(value) || value < 0) return null;
+  if (match[2] && value > 100) return null;
+  const rule = match[2] ? { percent: value } : { fixed: value };
+  for (let i = 0; i < rest.length; i += 2) {
+    const key = rest[i]?.toLowerCase();
+    const bound = Number(String(rest[i + 1] ?? "").replace(/,/g, ""));
+    if ((key !== "min" && key !== "max") || !Number.isFinite(bound) || bound < 0) return null;
+    rule[key] = bound;
+  }
+  return rule;
+}
+
+function describeFeeRule(rule) {
+  if (!rule) return t("common.none");
+  const base = rule.percent !== undefined
+    ? `${formatAmountWithCommas(rule.percent)}%`
+    : t("fees.fixed", { amount: formatAmountWithCommas(rule.fixed) });
+  const bounds = [
+    rule.min ? t("fees.min", { amount: formatAmountWithCommas(rule.min) }) : "",
+    rule.max ? t("fees.max", { amount: formatAmountWithCommas(rule.max) }) : "",
+  ].filter(Boolean);
+  return [base, ...bounds].join(" ");
+}
+
+bot.command("setfee", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  const args = (ctx.message?.text ?? "").split(" ").slice(1).filter(Boolean);
+  const settings = await getChatSettings(ctx.chat.id);
+  if (!args.length) {
+    await ctx.reply(
+      withMention(
+        ctx,
+        t("fees.current", {
+          in: describeFeeRule(settings.fees?.in),
+          out: describeFeeRule(settings.fees?.out),
+        })
+      )
+    );
+    return;
+  }
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  const direction = args[0].toLowerCase();
+  if (direction !== "in" && direction !== "out") {
+    await ctx.reply(withMention(ctx, t("fees.usage")));
+    return;
+  }
+  const fees = { ...(settings.fees ?? {}) };
+  if (args[1]?.toLowerCase() === "off") {
+    delete fees[direction];
+  } else {
+    const rule = parseFeeRule(args.slice(1));
+    if (!rule) {
+      await ctx.reply(
+        withMention(ctx, t("fees.invalid"))
+      );
+      return;
+    }
+    fees[direction] = rule;
+  }
+  await updateChatSettings(ctx, { fees });
+  await ctx.reply(
+    withMention(ctx, t("fees.updated", { direction, rule: describeFeeRule(fees[direction]) }))
+  );
+});
+
+bot.command("fees", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "report"))) return;
+  const arg = (ctx.message?.text ?? "").split(" ").slice(1).join(" ").trim();
+  const period = arg ? parsePeriodArg(arg) : buildTodayPeriod();
+  if (!period) {
+    await ctx.reply(withMention(ctx, t("period.invalid", { example: "/fees month" })));
+    return;
+  }
+  const events = await fetchBalanceEvents(ctx.chat.id, period);
+  const summary = summarizeFees(events);
+  const lines = [
+    `💸 ${t("fees.collectedTitle")}`,
+    "",
+    `📅 ${period.display}`,
+    "────────────────",
+    `${t("fees.in")}: ${formatAmountWithCommas(summary.feesIn)}`,
+    `${t("fees.out")}: ${formatAmountWithCommas(summary.feesOut)}`,
+    `${t("fees.entriesWithFee")}: ${summary.entriesWithFee}`,
+    "────────────────",
+    `💵 ${t("fees.total")}: ${formatAmountWithCommas(summary.fees)}`,
+  ];
+  await ctx.reply(`<pre><b>${escapeHtml(lines.join("\n"))}</b></pre>`, { parse_mode: "HTML" });
+});
+
+// /setlimit max|confirm <amount|off>, /setlimit member|chat in|out <amount|off>
+function parseLimitArgs(args) {
+  const [scope, ...rest] = args.map((arg) => arg.toLowerCase());
+  let key;
+  let value;
+  if (scope === "max" || scope === "confirm") {
+    [key, value] = [scope, rest[0]];
+  } else if ((scope === "member" || scope === "chat") && (rest[0] === "in" || rest[0] === "out")) {
+    [key, value] = [`${scope}_${rest[0]}`, rest[1]];
+  } else {
+    return null;
+  }
+  if (value === "off") return { key, amount: null };
+  const amount = Number(String(value ?? "").replace(/,/g, ""));
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+  return { key, amount };
+}
+
+function describeLimits(limits = {}) {
+  const describe = (value) => (value ? formatAmountWithCommas(value) : t("common.none"));
+  return t("limits.current", {
+    max: describe(limits.max),
+    confirm: describe(limits.confirm),
+    memberIn: describe(limits.member_in),
+    memberOut: describe(limits.member_out),
+    chatIn: describe(limits.chat_in),
+    chatOut: describe(limits.chat_out),
+  });
+}
+
+bot.command("setlimit", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  const args = (ctx.message?.text ?? "").split(" ").slice(1).filter(Boolean);
+  const settings = await getChatSettings(ctx.chat.id);
+  if (!args.length) {
+    await ctx.reply(withMention(ctx, describeLimits(settings.limits)));
+    return;
+  }
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  const parsed = parseLimitArgs(args);
+  if (!parsed) {
+    await ctx.reply(withMention(ctx, t("limits.usage")));
+    return;
+  }
+  const limits = { ...(settings.limits ?? {}) };
+  if (parsed.amount === null) {
+    delete limits[parsed.key];
+  } else {
+    limits[parsed.key] = parsed.amount;
+  }
+  await updateChatSettings(ctx, { limits });
+  await ctx.reply(withMention(ctx, describeLimits(limits)));
+});
+
+bot.callbackQuery(/^entry:(confirm|cancel):([a-f0-9]{24})$/, async (ctx) => {
+  const [, action, id] = ctx.match;
+  const { entryConfirmations, balanceEvents } = await ensureDb();
+  const pending = await entryConfirmations.findOne({
+    _id: new ObjectId(id),
+    chat_id: ctx.chat?.id,
+  });
+  if (!pending || pending.status !== "waiting" || pending.expires_at <= new Date()) {
+    await ctx.answerCallbackQuery({ text: t("confirm.expired") });
+    return;
+  }
+  if (pending.user_id !== ctx.from?.id) {
+    await ctx.answerCallbackQuery({ text: t("confirm.notYours") });
+    return;
+  }
+  if (action === "confirm" && !(await ensureBalanceAdmin(ctx))) {
+    await ctx.answerCallbackQuery();
+    return;
+  }
+  const { entry, target } = pending;
+  const event = pending.event_id ? await balanceEvents.findOne({ _id: pending.event_id }) : null;
+  if (pending.event_id && (!event || isVoidedEvent(event))) {
+    await claimEntryConfirmation(pending, "expired");
+    await ctx.answerCallbackQuery({ text: t("confirm.expired") });
+    return;
+  }
+  // Caps may have been used up by other entries while this one waited.
+  let breach = null;
+  if (action === "confirm") {
+    const { limits } = await getChatSettings(pending.chat_id);
+    breach = await checkEntryLimits(pending.chat_id, limits, target.id, entry.delta, {
+      replaces: event ?? undefined,
+    });
+  }
+  const status = action === "cancel" ? "cancelled" : breach ? "rejected" : "confirmed";
+  if (!(await claimEntryConfirmation(pending, status))) {
+    await ctx.answerCallbackQuery({ text: t("confirm.expired") });
+    return;
+  }
+  await ctx.answerCallbackQuery();
+  const params = {
+    amount: formatSignedAmountWithCommas(entry.delta),
+    name: mentionUserByUser(target),
+  };
+  if (status === "cancelled") {
+    await recordAudit(ctx, "entry.cancelled", { target, details: { amount: entry.delta } });
+    await ctx.editMessageText(withMention(ctx, t("confirm.cancelled", params)));
+    return;
+  }
+  if (breach) {
+    await rejectBalanceEntry(ctx, entry, target, breach, {
+      promptMessageId: ctx.callbackQuery.message?.message_id,
+    });
+    return;
+  }
+  await ctx.editMessageText(withMention(ctx, t("confirm.confirmed", params)));
+  try {
+    if (event) {
+      await commitBalanceEdit(ctx, event, entry, {
+        message_id: event.message_id,
+        edit_date: pending.edit_date,
+      });
+      return;
+    }
+    await commitBalanceEntry(ctx, entry, target, {
+      messageId: pending.message_id,
+      mentionPrefix: pending.mention_prefix ?? undefined,
+    });
+  } catch (err) {
+    console.error("Failed to post confirmed entry", err);
+    await ctx.reply(withMention(ctx, t("balance.updateFailed")));
+  }
+});
+
+// Unanswered confirmations expire; the audit entry is attributed to the poster.
+async function expireEntryConfirmations() {
+  try {
+    const { entryConfirmations } = await ensureDb();
+    const due = await entryConfirmations
+      .find({ status: "waiting", expires_at: { $lte: new Date() } })
+      .toArray();
+    for (const pending of due) {
+      if (!(await claimEntryConfirmation(pending, "expired"))) continue;
+      await withChatContext(pending.chat_id, async () => {
+        const auditCtx = {
+          chat: { id: pending.chat_id, title: pending.chat_title },
+          from: { id: pending.user_id, username: pending.username, first_name: pending.name },
+          msg: { message_id: pending.message_id },
+        };
+        await recordAudit(auditCtx, "entry.expired", {
+          target: pending.target,
+          details: { amount: pending.entry.delta },
+        });
+        await editConfirmationPrompt(
+          pending,
+          withMention(
+            auditCtx,
+            t("confirm.expiredNotice", {
+              amount: formatSignedAmountWithCommas(pending.entry.delta),
+              name: mentionUserByUser(pending.target),
+            })
+          )
+        );
+      });
+    }
+  } catch (err) {
+    console.error("Failed to expire entry confirmations", err);
+  }
+}
+
+// Chat language for bot replies and reports
+async function applyChatLanguage(ctx, code) {
+  if (!LANGUAGES[code]) {
+    await ctx.reply(
+      withMention(ctx, t("language.unknown", { codes: Object.keys(LANGUAGES).join(", ") }))
+    );
+    return;
+  }
+  await updateChatSettings(ctx, { language: code });
+  await chatContext.run(await getChatContext(ctx.chat.id), () =>
+    ctx.reply(withMention(ctx, t("language.set", { language: LANGUAGES[code].name })), {
+      reply_markup: buildReplyKeyboard(),
+    })
+  );
+}
+
+bot.command("language", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  const arg = (ctx.message?.text ?? "").split(" ").slice(1).join(" ").trim().toLowerCase();
+  if (!arg) {
+    const kb = new InlineKeyboard();
+    for (const [code, { name }] of Object.entries(LANGUAGES)) kb.text(name, `lang:${code}`);
+    await ctx.reply(
+      withMention(ctx, t("language.current", { language: LANGUAGES[currentLanguage()].name })),
+      { reply_markup: kb }
+    );
     return;
   }
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  await applyChatLanguage(ctx, arg);
+});
+
+bot.callbackQuery(/^lang:(\w+)$/, async (ctx) => {
+  await ctx.answerCallbackQuery();
+  if (!ensureGroup(ctx)) return;
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  await applyChatLanguage(ctx, ctx.match[1]);
+});
+
+// Chat timezone and business-day cutoff ("today" for reports, /pdf dates,
+// displayed times and schedule runs)
+function normalizeTimeZone(value) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: value }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
 
-  const { balanceAdmins } = await ensureDb();
-  await balanceAdmins.updateOne(
-    { chat_id: chatId },
-    {
-      $set: {
-        chat_id: chatId,
-        user_id: targetId,
-        username: target?.username,
-        name: `${target?.first_name ?? ""} ${target?.last_name ?? ""}`.trim(),
-        updated_at: new Date(),
-        updated_by: fromId,
-      },
-    },
-    { upsert: true }
+// Schedules fire at a wall-clock time, so their next run moves with the timezone.
+async function rescheduleChatReports(chatId, timeZone) {
+  const { reportSchedules } = await ensureDb();
+  const schedules = await reportSchedules.find({ chat_id: chatId }).toArray();
+  for (const schedule of schedules) {
+    const time = parseClockTime(schedule.time);
+    if (!time) continue;
+    await reportSchedules.updateOne(
+      { _id: schedule._id },
+      { $set: { next_run_at: computeNextScheduleRun(schedule.kind, time, new Date(), timeZone) } }
+    );
+  }
+}
+
+bot.command("settimezone", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  const arg = (ctx.message?.text ?? "").split(" ").slice(1).join(" ").trim();
+  if (!arg) {
+    await ctx.reply(
+      withMention(
+        ctx,
+        t("timezone.current", {
+          timeZone: currentTimeZone(),
+          now: formatTimestampInTimezone(new Date()),
+          cutoff: formatClockTime(currentCutoff()),
+        })
+      )
+    );
+    return;
+  }
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  const reset = ["off", "default"].includes(arg.toLowerCase());
+  const timeZone = reset ? TIMEZONE : normalizeTimeZone(arg);
+  if (!timeZone) {
+    await ctx.reply(withMention(ctx, t("timezone.invalid", { value: arg })));
+    return;
+  }
+  await updateChatSettings(ctx, { timezone: reset ? null : timeZone });
+  await rescheduleChatReports(ctx.chat.id, timeZone);
+  await ctx.reply(
+    withMention(
+      ctx,
+      t("timezone.set", { timeZone, now: formatTimestampInTimezone(new Date(), timeZone) })
+    )
   );
-  await ctx.reply(withMention(ctx, `Balance admin set to ${target?.username ?? targetId}.`));
 });
 
-bot.command("pdf", async (ctx) => {
+bot.command("setcutoff", async (ctx) => {
   if (!ensureGroup(ctx)) return;
-  const text = ctx.message?.text ?? "";
-  const arg = text.split(" ").slice(1).join(" ").trim();
+  const arg = (ctx.message?.text ?? "").split(" ").slice(1).join(" ").trim().toLowerCase();
   if (!arg) {
-    await ctx.reply(withMention(ctx, "Usage: /pdf DDMMYYYY (example: /pdf 27122025)"));
+    await ctx.reply(
+      withMention(
+        ctx,
+        t("cutoff.current", {
+          cutoff: formatClockTime(currentCutoff()),
+          timeZone: currentTimeZone(),
+        })
+      )
+    );
     return;
   }
-  const range = buildDateRangeFromDDMMYYYY(arg);
-  if (!range) {
-    await ctx.reply(withMention(ctx, "Invalid date. Use DDMMYYYY (example: /pdf 27122025)."));
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  const reset = ["off", "default"].includes(arg);
+  const cutoff = reset ? DAY_CUTOFF : parseClockTime(arg);
+  if (!cutoff) {
+    await ctx.reply(withMention(ctx, t("cutoff.usage")));
     return;
   }
-  const chatId = ctx.chat?.id;
-  const events = await fetchBalanceEvents(chatId, {
-    dayLabel: range.label,
-  });
-  if (!events.length) {
-    await ctx.reply(withMention(ctx, "No entries for that date."));
+  await updateChatSettings(ctx, { day_cutoff: reset ? null : formatClockTime(cutoff) });
+  await chatContext.run(await getChatContext(ctx.chat.id), () =>
+    ctx.reply(
+      withMention(
+        ctx,
+        t("cutoff.set", {
+          cutoff: formatClockTime(cutoff),
+          today: formatDisplayDay(getTodayInTimezone()),
+        })
+      )
+    )
+  );
+});
+
+bot.command("enteredby", async (ctx) => {
+  if (!ensureGroup(ctx)) return;
+  const arg = (ctx.message?.text ?? "").split(" ").slice(1).join(" ").trim().toLowerCase();
+  if (!arg) {
+    const state = t(reportShowsEnteredBy() ? "enteredBy.on" : "enteredBy.off");
+    await ctx.reply(withMention(ctx, t("enteredBy.current", { state })));
     return;
   }
-  const buffer = await renderReportPdf(events);
-  await ctx.replyWithDocument(new InputFile(buffer, `report-${range.label}.pdf`), {
-    caption: withMention(ctx, `Report for ${range.display}`),
-  });
+  if (arg !== "on" && arg !== "off") {
+    await ctx.reply(withMention(ctx, t("enteredBy.usage")));
+    return;
+  }
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  await updateChatSettings(ctx, { report_entered_by: arg === "on" });
+  await ctx.reply(withMention(ctx, t(arg === "on" ? "enteredBy.enabled" : "enteredBy.disabled")));
 });
 
-bot.command("balance", async (ctx) => {
+// Per-chat branding: title, company and margins live in chat_settings.branding;
+// the letterhead PDF and watermark logo are GridFS files referenced from there.
+const BRANDING_UPLOAD = "branding_upload";
+const BRANDING_MAX_BYTES = 5 * 1024 * 1024;
+const BRANDING_IMAGE_TYPES = ["image/jpeg", "image/png"];
+const BRANDING_FILE_CACHE_LIMIT = 20;
+const brandingFileCache = new Map();
+
+// GridFS files are never rewritten in place, so the cache is keyed by file id.
+async function readBrandingFile(fileId) {
+  if (!fileId) return null;
+  const key = String(fileId);
+  if (brandingFileCache.has(key)) return brandingFileCache.get(key);
+  const { brandingFiles } = await ensureDb();
+  const chunks = [];
+  try {
+    for await (const chunk of brandingFiles.openDownloadStream(fileId)) chunks.push(chunk);
+  } catch (err) {
+    console.error("Failed to read branding file", err);
+    return null;
+  }
+  const buffer = Buffer.concat(chunks);
+  brandingFileCache.set(key, buffer);
+  while (brandingFileCache.size > BRANDING_FILE_CACHE_LIMIT) {
+    brandingFileCache.delete(brandingFileCache.keys().next().value);
+  }
+  return buffer;
+}
+
+async function storeBrandingFile(chatId, kind, buffer, { filename, mime }) {
+  const { brandingFiles } = await ensureDb();
+  const upload = brandingFiles.openUploadStream(filename, {
+    metadata: { chat_id: chatId, kind, mime },
+  });
+  await new Promise((resolve, reject) => {
+    upload.once("finish", resolve);
+    upload.once("error", reject);
+    upload.end(buffer);
+  });
+  return upload.id;
+}
+
+async function deleteBrandingFile(fileId) {
+  if (!fileId) return;
+  const { brandingFiles } = await ensureDb();
+  brandingFileCache.delete(String(fileId));
+  await brandingFiles.delete(fileId).catch((err) => {
+    console.warn("Failed to delete branding file", err);
+  });
+}
+
+async function loadChatBranding(chatId) {
+  const branding = (await getChatSettings(chatId)).branding ?? {};
+  const [templateBuffer, logoBuffer] = await Promise.all([
+    readBrandingFile(branding.template_file_id),
+    readBrandingFile(branding.logo_file_id),
+  ]);
+  const logoMime = branding.logo_mime ?? "image/jpeg";
+  return {
+    title: branding.title,
+    company: branding.company,
+    margins: branding.margins,
+    templateBuffer,
+    logo: logoBuffer ? { buffer: logoBuffer, mime: logoMime } : null,
+    logoDataUri: logoBuffer ? `data:${logoMime};base64,${logoBuffer.toString("base64")}` : "",
+    fingerprint: JSON.stringify([
+      branding.title,
+      branding.company,
+      branding.margins,
+      String(branding.template_file_id ?? ""),
+      String(branding.logo_file_id ?? ""),
+    ]),
+  };
+}
+
+async function downloadTelegramFile(ctx, fileId) {
+  const file = await ctx.api.getFile(fileId);
+  if (!file.file_path) throw new Error("Telegram did not return a file path");
+  const res = await fetch(`https://api.telegram.org/file/bot${bot.token}/${file.file_path}`);
+  if (!res.ok) throw new Error(`File download failed with status ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+function parseMargins(tokens) {
+  if (tokens.length !== 4) return null;
+  const margins = tokens.map((token) => Number(token.replace(/px$/i, "")));
+  if (margins.some((px) => !Number.isInteger(px) || px < 0 || px > 300)) return null;
+  return margins;
+}
+
+function describeBranding(branding = {}) {
+  const margins = branding.margins ?? DEFAULT_PAGE_MARGINS;
+  return [
+    `${t("branding.titleLabel")}: ${branding.title ?? `${getDefaultReportTitle()} (${t("common.default")})`}`,
+    `${t("branding.companyLabel")}: ${branding.company ?? t("common.none")}`,
+    `${t("branding.marginsLabel")}: ${margins.map((px) => `${px}px`).join(" ")}${
+      branding.margins ? "" : ` (${t("common.default")})`
+    }`,
+    `${t("branding.letterheadLabel")}: ${
+      branding.template_file_id ? t("branding.customPdf") : t("common.default")
+    }`,
+    `${t("branding.watermarkLabel")}: ${
+      branding.logo_file_id ? t("branding.customLogo") : t("common.none")
+    }`,
+  ].join("\n");
+}
+
+bot.command("branding", async (ctx) => {
   if (!ensureGroup(ctx)) return;
-  if (!(await ensureBalanceAdmin(ctx))) return;
-  const text = ctx.message?.text ?? "";
-  const arg = text.split(" ").slice(1).join(" ").trim();
-  if (!arg) {
-    await ctx.reply(withMention(ctx, "Usage: /balance +number or /balance -number (example: /balance +10000)"));
+  const args = (ctx.message?.text ?? "").split(" ").slice(1).filter(Boolean);
+  const settings = await getChatSettings(ctx.chat.id);
+  const branding = { ...(settings.branding ?? {}) };
+  if (!args.length) {
+    await ctx.reply(
+      withMention(ctx, `${t("branding.heading")}\n${describeBranding(branding)}\n\n${t("branding.usage")}`)
+    );
+    return;
+  }
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  const field = args[0].toLowerCase();
+  const value = args.slice(1).join(" ").trim();
+
+  if (field === "template" || field === "logo") {
+    await setConversation(ctx.chat.id, ctx.from.id, BRANDING_UPLOAD, { target: field });
+    await ctx.reply(
+      withMention(ctx, t(field === "template" ? "branding.sendTemplate" : "branding.sendLogo"))
+    );
+    return;
+  }
+
+  if (field === "reset") {
+    const target = value.toLowerCase();
+    if (!["template", "logo", "all"].includes(target)) {
+      await ctx.reply(withMention(ctx, t("branding.usage")));
+      return;
+    }
+    const removed = [];
+    if (target === "template" || target === "all") {
+      removed.push(branding.template_file_id);
+      delete branding.template_file_id;
+    }
+    if (target === "logo" || target === "all") {
+      removed.push(branding.logo_file_id);
+      delete branding.logo_file_id;
+      delete branding.logo_mime;
+    }
+    if (target === "all") {
+      delete branding.title;
+      delete branding.company;
+      delete branding.margins;
+    }
+    await updateChatSettings(ctx, { branding });
+    for (const fileId of removed) await deleteBrandingFile(fileId);
+    await ctx.reply(withMention(ctx, `${t("branding.reset")}\n${describeBranding(branding)}`));
     return;
   }
-  const match = arg.match(/^([+-]\d+(?:\.\d+)?)$/);
-  if (!match) {
-    await ctx.reply(withMention(ctx, "Please provide a signed number. Example: /balance +10000"));
+
+  if (field === "title" || field === "company") {
+    if (!value) {
+      await ctx.reply(withMention(ctx, t("branding.usage")));
+      return;
+    }
+    if (value.toLowerCase() === "off") delete branding[field];
+    else branding[field] = value.slice(0, 80);
+  } else if (field === "margins") {
+    if (value.toLowerCase() === "off") {
+      delete branding.margins;
+    } else {
+      const margins = parseMargins(args.slice(1));
+      if (!margins) {
+        await ctx.reply(
+          withMention(ctx, t("branding.invalidMargins"))
+        );
+        return;
+      }
+      branding.margins = margins;
+    }
+  } else {
+    await ctx.reply(withMention(ctx, t("branding.usage")));
     return;
   }
+  await updateChatSettings(ctx, { branding });
+  await ctx.reply(withMention(ctx, `${t("branding.updated")}\n${describeBranding(branding)}`));
+});
+
+bot.on(["message:document", "message:photo"], async (ctx, next) => {
+  const chatId = ctx.chat?.id;
+  const userId = ctx.from?.id;
+  if (!chatId || !userId) return next();
+  const conversation = await getConversation(chatId, userId);
+  if (conversation?.kind !== BRANDING_UPLOAD) return next();
 
-  const delta = Number(match[1]);
-  if (Number.isNaN(delta)) {
-    await ctx.reply(withMention(ctx, "That number is not valid."));
+  const target = conversation.data?.target;
+  const photo = ctx.message.photo?.at(-1);
+  const file = photo ?? ctx.message.document;
+  const mime = photo ? "image/jpeg" : (ctx.message.document?.mime_type ?? "");
+  if (target === "template" && mime !== "application/pdf") {
+    await ctx.reply(withMention(ctx, t("branding.templateNotPdf")));
+    return;
+  }
+  if (target === "logo" && !BRANDING_IMAGE_TYPES.includes(mime)) {
+    await ctx.reply(withMention(ctx, t("branding.logoNotImage")));
+    return;
+  }
+  if ((file.file_size ?? 0) > BRANDING_MAX_BYTES) {
+    await ctx.reply(withMention(ctx, t("branding.tooLarge")));
     return;
   }
 
   try {
-    const targetUser = resolveBalanceTarget(ctx);
-    await updateUserBalance(ctx, delta, targetUser);
-    await sendReport(ctx, { limit: 6, mentionPrefix: "Balance updated." });
+    const buffer = await downloadTelegramFile(ctx, file.file_id);
+    if (target === "template") {
+      try {
+        await PDFDocument.load(buffer);
+      } catch {
+        await ctx.reply(withMention(ctx, t("branding.unreadablePdf")));
+        return;
+      }
+    }
+    const branding = { ...((await getChatSettings(chatId)).branding ?? {}) };
+    const previous = branding[`${target}_file_id`];
+    branding[`${target}_file_id`] = await storeBrandingFile(chatId, target, buffer, {
+      filename: `${chatId}-${target}`,
+      mime,
+    });
+    if (target === "logo") branding.logo_mime = mime;
+    await updateChatSettings(ctx, { branding });
+    await deleteBrandingFile(previous);
+    await clearConversation(chatId, userId);
+    await ctx.reply(
+      withMention(ctx, t(target === "template" ? "branding.templateSaved" : "branding.logoSaved"))
+    );
   } catch (err) {
-    console.error("Failed to update balance", err);
-    await ctx.reply(withMention(ctx, "Could not update balance right now. Please try again."));
+    console.error("Failed to save branding file", err);
+    await ctx.reply(withMention(ctx, t("branding.saveFailed")));
   }
 });
 
-bot.on("message:text", async (ctx, next) => {
-  const text = ctx.message.text.trim();
-  if (text.startsWith("/")) return next();
-  if (text !== "*" && text !== "**") return next();
+// Scheduled close reports
+const SCHEDULE_KINDS = ["daily", "weekly", "monthly"];
+const SCHEDULE_POLL_MS = 30 * 1000;
+// Missed runs older than this are skipped instead of flooding the group.
+const SCHEDULE_CATCH_UP_MS = 7 * 24 * 60 * 60 * 1000;
+let scheduleTimer = null;
+let scheduleRunning = false;
+
+// Daily runs on every day, weekly on Sunday (closing the Monday-Sunday week),
+// monthly on the last day of the month.
+function getScheduleRunDay(kind, day) {
+  if (kind === "weekly") return buildWeekPeriod(day).to;
+  if (kind === "monthly") return buildMonthPeriod(day.month, day.year).to;
+  return day;
+}
+
+function computeNextScheduleRun(kind, time, after = new Date(), timeZone = currentTimeZone()) {
+  let day = getZonedDateParts(after, timeZone);
+  for (let i = 0; i < 400; i += 1) {
+    const runDay = getScheduleRunDay(kind, day);
+    const runAt = zonedTimeToUtc({ ...runDay, ...time }, timeZone);
+    if (runAt > after) return runAt;
+    day = addDays(runDay, 1);
+  }
+  throw new Error(`Could not compute next ${kind} schedule run.`);
+}
+
+// Reports close the business day that was running just before the run time,
+// so with a 06:00 cutoff a daily run at 06:00 covers the day that just ended.
+function buildSchedulePeriod(kind, runAt, timeZone = currentTimeZone()) {
+  const { day, month, year } = getBusinessDay(new Date(runAt.getTime() - 60 * 1000), timeZone);
+  if (kind === "weekly") return buildWeekPeriod({ day, month, year }, timeZone);
+  if (kind === "monthly") return buildMonthPeriod(month, year, timeZone);
+  return buildPeriod({ day, month, year }, undefined, timeZone);
+}
+
+function sendScheduledReport(schedule, runAt) {
+  return withChatContext(schedule.chat_id, async () => {
+    const period = buildSchedulePeriod(schedule.kind, runAt);
+    const events = await fetchBalanceEvents(schedule.chat_id, period);
+    const kind = t(`schedule.kind.${schedule.kind}`);
+    if (!events.length) {
+      await bot.api.sendMessage(
+        schedule.chat_id,
+        `📄 ${t("schedule.emptyReport", { kind, period: period.display })}`
+      );
+      return;
+    }
+    const ledger = await loadReportLedger(schedule.chat_id, period);
+    const buffer = await renderChatPdf(schedule.chat_id, events, { period, ledger });
+    await bot.api.sendDocument(
+      schedule.chat_id,
+      new InputFile(buffer, `report-${period.label}.pdf`),
+      { caption: `📄 ${t("schedule.caption", { kind, period: period.display })}` }
+    );
+  });
+}
+
+async function runDueSchedules() {
+  if (scheduleRunning) return;
+  scheduleRunning = true;
+  try {
+    const { reportSchedules } = await ensureDb();
+    const now = new Date();
+    const due = await reportSchedules.find({ next_run_at: { $lte: now } }).toArray();
+    for (const schedule of due) {
+      const runAt = schedule.next_run_at;
+      const time = parseClockTime(schedule.time);
+      if (!time) continue;
+      const skip = now - runAt > SCHEDULE_CATCH_UP_MS;
+      const { timeZone } = await getChatContext(schedule.chat_id);
+      const nextRunAt = computeNextScheduleRun(schedule.kind, time, skip ? now : runAt, timeZone);
+      // Claiming by the old next_run_at keeps a second instance from sending twice.
+      const claimed = await reportSchedules.updateOne(
+        { _id: schedule._id, next_run_at: runAt },
+        { $set: { next_run_at: nextRunAt } }
+      );
+      if (!claimed.modifiedCount || skip) continue;
+      try {
+        await sendScheduledReport(schedule, runAt);
+        await reportSchedules.updateOne(
+          { _id: schedule._id },
+          { $set: { last_run_at: new Date(), last_period_at: runAt }, $unset: { last_error: "" } }
+        );
+      } catch (err) {
+        console.error(`Scheduled ${schedule.kind} report failed for chat ${schedule.chat_id}`, err);
+        await reportSchedules.updateOne(
+          { _id: schedule._id },
+          { $set: { last_error: String(err?.message ?? err) } }
+        );
+      }
+    }
+  } catch (err) {
+    console.error("Failed to run report schedules", err);
+  } finally {
+    scheduleRunning = false;
+  }
+}
+
+function startScheduler() {
+  if (scheduleTimer) return;
+  runDueSchedules();
+  scheduleTimer = setInterval(runDueSchedules, SCHEDULE_POLL_MS);
+}
+
+function describeSchedule(schedule) {
+  return t("schedule.describe", {
+    kind: t(`schedule.kind.${schedule.kind}`),
+    when: t(`schedule.when.${schedule.kind}`),
+    time: schedule.time,
+    next: formatTimestampInTimezone(schedule.next_run_at),
+  });
+}
+
+bot.command("schedule", async (ctx) => {
   if (!ensureGroup(ctx)) return;
-  if (!(await ensureBalanceAdmin(ctx))) return;
-  const target = ctx.message.reply_to_message?.from;
-  if (!target?.id) {
-    await ctx.reply(withMention(ctx, "Reply to a member's message with * or **."));
+  const chatId = ctx.chat.id;
+  const text = ctx.message?.text ?? "";
+  const args = text.split(" ").slice(1).filter(Boolean).map((a) => a.toLowerCase());
+  const { reportSchedules } = await ensureDb();
+
+  if (!args.length) {
+    if (!(await ensureChatPermission(ctx, "report"))) return;
+    const schedules = await reportSchedules.find({ chat_id: chatId }).toArray();
+    if (!schedules.length) {
+      await ctx.reply(withMention(ctx, t("schedule.none")));
+      return;
+    }
+    await ctx.reply(
+      withMention(ctx, `${t("schedule.heading")}\n${schedules.map(describeSchedule).join("\n")}`)
+    );
     return;
   }
-  const notice =
-    text === "**"
-      ? "<b>⚠️ This payment has not yet received.</b>"
-      : "<b>⚠️ This transaction has failed.</b>";
-  await ctx.reply(`${mentionUserByUser(target)} ${notice}`, { parse_mode: "HTML" });
+
+  if (!(await ensureChatPermission(ctx, "manage"))) return;
+  if (args[0] === "off") {
+    const kind = args[1];
+    if (kind && !SCHEDULE_KINDS.includes(kind)) {
+      await ctx.reply(withMention(ctx, t("schedule.offUsage")));
+      return;
+    }
+    const result = await reportSchedules.deleteMany(
+      kind ? { chat_id: chatId, kind } : { chat_id: chatId }
+    );
+    if (result.deletedCount) {
+      await recordAudit(ctx, "schedule.remove", {
+        details: { kind: kind ?? "all", removed: result.deletedCount },
+      });
+    }
+    await ctx.reply(
+      withMention(
+        ctx,
+        t(result.deletedCount ? "schedule.removed" : "schedule.notFound")
+      )
+    );
+    return;
+  }
+
+  const kind = SCHEDULE_KINDS.includes(args[0]) ? args[0] : "daily";
+  const timeArg = SCHEDULE_KINDS.includes(args[0]) ? args[1] : args[0];
+  const time = parseClockTime(timeArg);
+  if (!time || args.length > (SCHEDULE_KINDS.includes(args[0]) ? 2 : 1)) {
+    await ctx.reply(
+      withMention(ctx, t("schedule.usage"))
+    );
+    return;
+  }
+  const nextRunAt = computeNextScheduleRun(kind, time);
+  const previous = await reportSchedules.findOneAndUpdate(
+    { chat_id: chatId, kind },
+    {
+      $set: {
+        chat_id: chatId,
+        kind,
+        time: formatClockTime(time),
+        next_run_at: nextRunAt,
+        updated_at: new Date(),
+        updated_by: ctx.from?.id,
+      },
+      $setOnInsert: { created_at: new Date() },
+    },
+    { upsert: true, returnDocument: "before" }
+  );
+  await recordAudit(ctx, "schedule.set", {
+    before: previous?.time ?? null,
+    after: formatClockTime(time),
+    details: { kind },
+  });
+  await ctx.reply(
+    withMention(
+      ctx,
+      t("schedule.set", {
+        kind: t(`schedule.kind.${kind}`),
+        time: formatClockTime(time),
+        next: formatTimestampInTimezone(nextRunAt),
+      })
+    )
+  );
 });
 
-// Balance adjustments: +number or -number (requires privacy mode disabled)
-bot.on("message:text", async (ctx, next) => {
-  const text = ctx.message.text.trim();
-  if (text.startsWith("/")) return next();
-  const cleaned = botUsername ? text.replace(`@${botUsername}`, "").trim() : text;
-  const match = cleaned.match(/^([+-]\d+(?:\.\d+)?)$/);
-  if (!match) return next();
-  if (!ensureGroup(ctx)) return;
-  if (!(await ensureBalanceAdmin(ctx))) return;
+// Read-only JSON API for dashboards (GET /api/...). Each consumer gets its own
+// token: API_TOKENS=dashboard:<token>,ops:<token>, sent as "Authorization: Bearer".
+const API_CONSUMERS = (process.env.API_TOKENS || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const split = entry.indexOf(":");
+    const name = split > 0 ? entry.slice(0, split) : "default";
+    const token = split > 0 ? entry.slice(split + 1) : entry;
+    return { name, digest: createHash("sha256").update(token).digest() };
+  });
+const API_EVENT_LIMIT = 5000;
+const API_CHAT_VIEWS = new Set(["members", "balances", "events", "report", "report.pdf"]);
+
+class ApiError extends Error {
+  constructor(status, code) {
+    super(code);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function authenticateApiRequest(req) {
+  const match = String(req.headers.authorization ?? "").match(/^Bearer\s+(\S+)$/i);
+  if (!match) return null;
+  const digest = createHash("sha256").update(match[1]).digest();
+  return API_CONSUMERS.find((consumer) => timingSafeEqual(consumer.digest, digest)) ?? null;
+}
+
+function parseApiChatId(value) {
+  const chatId = Number(value);
+  if (!Number.isSafeInteger(chatId)) throw new ApiError(400, "invalid_chat_id");
+  return chatId;
+}
+
+function parseApiMemberId(params) {
+  if (!params.has("member")) return undefined;
+  const memberId = Number(params.get("member"));
+  if (!Number.isSafeInteger(memberId)) throw new ApiError(400, "invalid_member");
+  return memberId;
+}
+
+// Same period syntax as /pdf and /report, resolved in the chat's timezone and cutoff.
+function parseApiPeriod(params) {
+  if (!params.get("period")) return buildTodayPeriod();
+  const period = parsePeriodArg(params.get("period"));
+  if (!period) throw new ApiError(400, "invalid_period");
+  return period;
+}
+
+function serializeApiPeriod(period) {
+  return {
+    from: formatIsoDay(period.from),
+    to: formatIsoDay(period.to),
+    start: period.start,
+    end: period.end,
+    time_zone: currentTimeZone(),
+    day_cutoff: formatClockTime(currentCutoff()),
+  };
+}
+
+async function listApiChats() {
+  const { balanceEvents, chatSettings } = await ensureDb();
+  const chats = await balanceEvents
+    .aggregate([
+      {
+        $group: {
+          _id: "$chat_id",
+          // $max on the pair compares timestamps first, so this is the newest event's title.
+          latest: { $max: { timestamp: "$timestamp", title: "$chat_title" } },
+          events: { $sum: 1 },
+          first_event_at: { $min: "$timestamp" },
+          last_event_at: { $max: "$timestamp" },
+        },
+      },
+      { $sort: { last_event_at: -1 } },
+    ])
+    .toArray();
+  const settings = await chatSettings
+    .find({ chat_id: { $in: chats.map((chat) => chat._id) } })
+    .toArray();
+  const settingsByChat = new Map(settings.map((doc) => [doc.chat_id, doc]));
+  return chats.map(({ _id, latest, ...chat }) => {
+    const context = buildChatContext(settingsByChat.get(_id));
+    return {
+      chat_id: _id,
+      title: latest.title ?? null,
+      ...chat,
+      language: context.language,
+      time_zone: context.timeZone,
+      day_cutoff: formatClockTime(context.cutoff),
+    };
+  });
+}
+
+async function listApiMembers(chatId) {
+  const { balances, balanceAdmins } = await ensureDb();
+  const [balanceDocs, roleDocs] = await Promise.all([
+    balances.find({ chat_id: chatId }).toArray(),
+    balanceAdmins.find({ chat_id: chatId }).toArray(),
+  ]);
+  const members = new Map();
+  for (const doc of [...balanceDocs, ...roleDocs]) {
+    const member = members.get(doc.user_id) ?? { user_id: doc.user_id, role: null, balance: 0 };
+    member.username = member.username ?? doc.username ?? null;
+    member.name = member.name || doc.name || null;
+    if (doc.role) member.role = doc.role;
+    if (doc.balance !== undefined) member.balance = Number(doc.balance) || 0;
+    members.set(doc.user_id, member);
+  }
+  return [...members.values()];
+}
+
+// API reads are attributed to the consumer in the audit log.
+function buildApiAuditContext(consumer, chatId) {
+  return { chat: { id: chatId }, from: { first_name: `api:${consumer.name}` } };
+}
+
+async function handleApiRequest(req, res, segments, params) {
+  const consumer = authenticateApiRequest(req);
+  if (!consumer) throw new ApiError(401, "unauthorized");
+  if (req.method !== "GET") throw new ApiError(405, "method_not_allowed");
+  const [resource, chatParam, view, ...rest] = segments;
+  if (resource !== "chats" || rest.length || (chatParam && !API_CHAT_VIEWS.has(view))) {
+    throw new ApiError(404, "not_found");
+  }
+  if (!health.mongo.ok) throw new ApiError(503, "unavailable");
+  if (!chatParam) {
+    sendJson(res, 200, { chats: await listApiChats() });
+    return;
+  }
+  const chatId = parseApiChatId(chatParam);
+  const context = await getChatContext(chatId);
+  const language = LANGUAGES[params.get("lang")] ? params.get("lang") : context.language;
+  await chatContext.run({ ...context, language }, async () => {
+    if (view === "members") {
+      sendJson(res, 200, { chat_id: chatId, members: await listApiMembers(chatId) });
+      return;
+    }
+    if (view === "balances") {
+      const { balances } = await ensureDb();
+      const docs = await balances.find({ chat_id: chatId }).toArray();
+      const { positive, negative, net } = summarizeBalances(docs);
+      sendJson(res, 200, { chat_id: chatId, balances: docs, positive, negative, net });
+      return;
+    }
+    const period = parseApiPeriod(params);
+    const memberId = parseApiMemberId(params);
+    const events = filterEventsByMember(await fetchBalanceEvents(chatId, period), memberId);
+    const ledger = await loadReportLedger(chatId, period, { memberId });
+    if (view === "events") {
+      const limit = Math.max(1, Math.min(Math.floor(Number(params.get("limit"))) || API_EVENT_LIMIT, API_EVENT_LIMIT));
+      const summary = summarizeLedger(events, ledger);
+      sendJson(res, 200, {
+        chat_id: chatId,
+        period: serializeApiPeriod(period),
+        opening_balance: summary.opening,
+        closing_balance: summary.closing,
+        total: events.length,
+        events: events.slice(0, limit).map((event) => ({
+          ...event,
+          business_day: formatIsoDay(getBusinessDay(event.timestamp)),
+          running_balance: summary.running.get(event) ?? null,
+          changed_after_close: summary.flagged.has(event),
+        })),
+      });
+      return;
+    }
+    if (view === "report") {
+      const { lines } = buildReportLines(events, {
+        entryFormatter: buildReportEntryLineText,
+        style: "pretty",
+        period,
+        ledger,
+      });
+      res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" }).end(lines.join("\n"));
+      await recordExportAudit(buildApiAuditContext(consumer, chatId), "report", "text", {
+        period,
+        memberId,
+      });
+      return;
+    }
+    const buffer = await renderChatPdf(chatId, events, { period, memberId, ledger, quiet: true });
+    res
+      .writeHead(200, {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename="report-${period.label}.pdf"`,
+      })
+      .end(buffer);
+    await recordExportAudit(buildApiAuditContext(consumer, chatId), "report", "pdf", {
+      period,
+      memberId,
+    });
+  });
+}
+
+// Process lifecycle: polling or webhook, health endpoints, reconnects and shutdown
+const RECONNECT_MAX_DELAY_MS = 60 * 1000;
+const HEALTH_CHECK_MS = 30 * 1000;
+const SHUTDOWN_DRAIN_MS = 30 * 1000;
+// Telegram sends it back in X-Telegram-Bot-Api-Secret-Token; derived from the bot
+// token when unset so every instance of the same bot agrees on it.
+const WEBHOOK_SECRET =
+  process.env.WEBHOOK_SECRET ||
+  createHash("sha256").update(`webhook:${process.env.BOT_TOKEN}`).digest("hex");
+const health = {
+  telegram: { ok: false, checked_at: null, error: null },
+  mongo: { ok: false, checked_at: null, error: null },
+};
+let httpServer = null;
+let healthTimer = null;
+let botStarted = false;
+let shuttingDown = false;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  const delta = Number(match[1]);
-  if (Number.isNaN(delta)) return next();
+// Retries `work` with exponential backoff until it succeeds or shutdown starts.
+async function retryWithBackoff(label, work) {
+  for (let attempt = 0; !shuttingDown; attempt += 1) {
+    try {
+      return await work();
+    } catch (err) {
+      const delay = Math.min(RECONNECT_MAX_DELAY_MS, 1000 * 2 ** attempt);
+      console.error(
+        `${label} failed, retrying in ${Math.round(delay / 1000)}s:`,
+        err?.message ?? err
+      );
+      await sleep(delay);
+    }
+  }
+  return null;
+}
 
+async function checkHealth(name, probe) {
   try {
-    const targetUser = resolveBalanceTarget(ctx);
-    await updateUserBalance(ctx, delta, targetUser);
-    await sendReport(ctx, { limit: 6 });
+    await probe();
+    health[name] = { ok: true, checked_at: new Date(), error: null };
   } catch (err) {
-    console.error("Failed to update balance", err);
-    await ctx.reply("Could not update balance right now. Please try again.");
+    health[name] = { ok: false, checked_at: new Date(), error: String(err?.message ?? err) };
   }
-});
+}
 
-// Free text is allowed; keep only explicit commands and handlers.
+async function runHealthChecks() {
+  await Promise.all([
+    checkHealth("telegram", async () => {
+      const me = await bot.api.getMe();
+      if (me.username !== botUsername) console.log(`Bot username: ${me.username}`);
+      botUsername = me.username ?? "";
+    }),
+    // ensureDb() reconnects if the first connection never came up.
+    checkHealth("mongo", async () => {
+      const { db } = await ensureDb();
+      await db.command({ ping: 1 });
+    }),
+  ]);
+}
 
-// Calculation report
-bot.command("report", async (ctx) => {
-  await sendReport(ctx, { mentionPrefix: "Here is your report." });
-});
+function isReady() {
+  return botStarted && !shuttingDown && health.telegram.ok && health.mongo.ok;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+}
+
+function startHttpServer() {
+  const webhookPath = BOT_MODE === "webhook" ? new URL(WEBHOOK_URL).pathname : null;
+  const handleWebhook =
+    BOT_MODE === "webhook"
+      ? webhookCallback(bot, "http", { secretToken: WEBHOOK_SECRET, onTimeout: "return" })
+      : null;
+  httpServer = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && pathname === "/healthz") {
+      sendJson(res, shuttingDown ? 503 : 200, {
+        status: shuttingDown ? "shutting_down" : "ok",
+        mode: BOT_MODE,
+        uptime_s: Math.round(process.uptime()),
+        ...health,
+      });
+      return;
+    }
+    if (req.method === "GET" && pathname === "/readyz") {
+      const ready = isReady();
+      sendJson(res, ready ? 200 : 503, { status: ready ? "ready" : "not_ready", ...health });
+      return;
+    }
+    if (handleWebhook && req.method === "POST" && pathname === webhookPath) {
+      // 503 makes Telegram redeliver the update once Mongo is back.
+      if (shuttingDown || !health.mongo.ok) {
+        sendJson(res, 503, { status: "not_ready" });
+        return;
+      }
+      handleWebhook(req, res).catch((err) => {
+        console.error("Webhook update failed", err);
+        if (!res.headersSent) sendJson(res, 500, { status: "error" });
+      });
+      return;
+    }
+    if (API_CONSUMERS.length && pathname.startsWith("/api/")) {
+      const segments = pathname.split("/").filter(Boolean).slice(1);
+      handleApiRequest(req, res, segments, new URL(req.url, "http://localhost").searchParams).catch(
+        (err) => {
+          if (!(err instanceof ApiError)) console.error("API request failed", err);
+          if (!res.headersSent) {
+            sendJson(res, err.status ?? 500, { error: err.code ?? "internal_error" });
+          }
+        }
+      );
+      return;
+    }
+    sendJson(res, 404, { status: "not_found" });
+  });
+  httpServer.listen(HTTP_PORT, () => {
+    console.log(`HTTP server listening on :${HTTP_PORT}`);
+  });
+}
+
+async function startBot() {
+  if (BOT_MODE === "webhook") {
+    await retryWithBackoff("Webhook registration", () =>
+      bot.api.setWebhook(WEBHOOK_URL, { secret_token: WEBHOOK_SECRET })
+    );
+    if (shuttingDown) return;
+    botStarted = true;
+    console.log(`Bot running (webhook at ${WEBHOOK_URL})...`);
+    return;
+  }
+  // bot.start() resolves once bot.stop() is called and rejects when polling
+  // cannot continue (e.g. Telegram unreachable during init), so restart it.
+  await retryWithBackoff("Polling", () =>
+    bot.start({
+      onStart: () => {
+        botStarted = true;
+        console.log("Bot running (polling)...");
+      },
+    })
+  );
+}
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down...`);
+  clearInterval(healthTimer);
+  clearInterval(scheduleTimer);
+  clearInterval(confirmationTimer);
+  if (bot.isRunning()) await bot.stop();
+  const closing = httpServer ? new Promise((resolve) => httpServer.close(resolve)) : null;
+  const pending = [...inFlightUpdates, ...pdfRenderJobs.values()];
+  if (pending.length) {
+    console.log(`Waiting for ${pending.length} in-flight update(s) and PDF render(s)...`);
+    await Promise.race([Promise.allSettled(pending), sleep(SHUTDOWN_DRAIN_MS)]);
+  }
+  await Promise.race([closing, sleep(1000)]);
+  await closePdfBrowser();
+  await calculationCollections.client?.close().catch(() => {});
+  process.exit(0);
+}
 
-// Start polling
 (async () => {
-  try {
-    await ensureDb();
-    bot.start();
-    console.log("Bot running (polling)...");
-  } catch (err) {
-    console.error("Failed to start bot", err);
+  if (BOT_MODE !== "polling" && BOT_MODE !== "webhook") {
+    console.error(`Unknown BOT_MODE "${BOT_MODE}". Use polling or webhook.`);
+    process.exit(1);
+  }
+  if (BOT_MODE === "webhook" && !WEBHOOK_URL) {
+    console.error("WEBHOOK_URL is not set. Please set it in .env to use webhook mode.");
     process.exit(1);
   }
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => shutdown(signal));
+  }
+  if (HTTP_PORT) startHttpServer();
+  runHealthChecks();
+  healthTimer = setInterval(runHealthChecks, HEALTH_CHECK_MS);
+  await retryWithBackoff("MongoDB connection", ensureDb);
+  if (shuttingDown) return;
+  await runHealthChecks();
+  startScheduler();
+  confirmationTimer = setInterval(expireEntryConfirmations, ENTRY_CONFIRM_POLL_MS);
+  await startBot();
 })();
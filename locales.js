@@ -0,0 +1,1035 @@
+// Translation catalogue for bot replies and reports. Keys missing from a
+// language fall back to English; {name} placeholders are filled in by t().
+export const LANGUAGES = {
+  en: { name: "English", locale: "en-US" },
+  km: { name: "ខ្មែរ", locale: "km-KH" },
+  zh: { name: "中文", locale: "zh-CN" },
+};
+
+const en = {
+  "format.date": "{day}/{month}/{year}",
+
+  "common.groupOnly": "Please use this command in a group 🙂",
+  "common.missingInfo": "Missing chat or user info.",
+  "common.user": "User",
+  "common.unknown": "unknown",
+  "common.none": "none",
+  "common.default": "default",
+
+  "start.greeting": "Hi! Try /help or /menu",
+  "help.text": `Commands:
+- /calc <expression>   (example: /calc 1,250*4 + 10%)
+- /menu                (interactive buttons)
+- /calculation          (show report buttons)
+- /report [period] [#category] (full report, today by default)
+- /history [@member|reply] [from] [to] [pdf|csv] (entries with dates, newest last)
+- /find <amount|text> [period] [pdf|csv] (search entries by amount, note, #category or member)
+- /pdf <period>          (PDF by date DDMMYYYY, range DDMMYYYY-DDMMYYYY, week or month MMYYYY)
+- /export csv|xlsx [period] (ledger spreadsheet, today by default)
+- /schedule [daily|weekly|monthly] HH:MM (auto-post the PDF report; /schedule off to stop)
+- /setfee in|out <percent%|amount> [min N] [max N] (fee on deposits/withdrawals; off to clear)
+- /setlimit [max|confirm N] [member|chat in|out N] (entry limits; off to clear)
+- /fees [period]        (fees collected, today by default)
+- /branding             (report title, company, margins, letterhead PDF and watermark logo)
+- /language [en|km|zh]  (language for replies and reports)
+- /settimezone [Area/City] (timezone for reports and times, example: Asia/Bangkok)
+- /setcutoff [HH:MM]    (when the business day starts, example: 06:00)
+- /enteredby [on|off]   (show who entered each line in text and PDF reports)
+- /reconcile [check]    (rebuild member balances from the ledger and report drift)
+- /close [DDMMYYYY|yesterday] (freeze a business day; later changes to it are flagged in reports)
+- /setbalanceadmin      (assign an owner who can use + / - balance)
+- /addoperator [role]   (reply or user_id/@username; roles: owner, operator, viewer, auditor)
+- /removeoperator       (reply or user_id/@username)
+- /roles                (list roles in this chat)
+- /audit [period] [@user] (who changed balances, entries, roles and settings, and who exported)
+- /mybalance            (your overall balance)
+- /balance @user        (a member's overall balance; or reply with /balance)
+- /balances [pdf]       (all members' balances, sorted)
+- /ping
+- Balance update: /balance +number or /balance -number (example: /balance +10000)
+- Expressions and notes: +1250*4 deposit from ABA #topup (optional; in chat a note needs a #category, /balance takes any note)
+- /undo                 (void your last balance entry)
+- /void                 (reply to a +/- message to void that entry)
+- Reply * to a +/- message to mark it failed, ** to mark it pending
+- Editing a +/- message updates its entry; editing it into text voids it
+- /wizard               (step-by-step report: period, format, member)
+- Buttons: View Report shows last 6 entries; View Report (PDF) sends full report; Report PDF by Date opens the wizard
+`,
+  "ping.pong": "pong ✅",
+
+  "calc.usage": "Usage: /calc <expression>\nExample: /calc (3,000 + 450) * 2 - 5%",
+  "calc.failed": 'Could not calculate "{expression}": {reason}',
+  "calc.help":
+    "Send /calc with + - * / ( ) and %, e.g. /calc 1,250*4 or /calc 10,000 - 2%. Balance entries accept expressions too: +1250*4",
+
+  "menu.calculator": "🧮 Calculator",
+  "menu.viewReport": "📊 View Report",
+  "menu.help": "Help",
+  "menu.prompt": "Choose an action:",
+  "menu.helpHint": "Try /calc 1250*4 or /menu",
+
+  "keyboard.viewReport": "View Report",
+  "keyboard.viewReportPdf": "📄 View Report (PDF)",
+  "keyboard.reportByDate": "📄 Report PDF by Date",
+
+  "calculation.prompt": "Tap a button to view the report:",
+
+  "period.usage": "DDMMYYYY, DDMMYYYY-DDMMYYYY, week [DDMMYYYY] or month [MMYYYY]",
+  "period.invalid":
+    "Invalid date. Use DDMMYYYY, DDMMYYYY-DDMMYYYY, week [DDMMYYYY] or month [MMYYYY] (example: {example}).",
+
+  "report.title": "TRANSACTION LOG",
+  "report.dateLabel": "Date",
+  "report.total": "TOTAL",
+  "report.openingBalance": "Opening balance",
+  "report.closingBalance": "Closing balance",
+  "report.changedAfterClose": "changed after the day was closed",
+  "report.closedDrift": "{day} was closed at {closed}; it is now {current}.",
+  "report.subtotal": "Subtotal",
+  "report.gross": "GROSS",
+  "report.fees": "FEES",
+  "report.feeInline": "fee {fee}",
+  "report.voidMarker": "VOID",
+  "report.failedMarker": "FAILED",
+  "report.pendingHeading": "Pending",
+  "report.pendingTotal": "PENDING TOTAL",
+  "report.categoriesHeading": "Categories",
+  "report.uncategorized": "(none)",
+  "report.entryCount": "{count} entries",
+  "report.membersHeading": "MEMBERS",
+  "report.membersDaily": "Members Daily report",
+  "report.membersRange": "Members report",
+  "report.totalEntries": "Total entries",
+  "report.totalAmount": "Total amount",
+  "report.column.member": "Member",
+  "report.column.time": "Time",
+  "report.column.gross": "Gross",
+  "report.column.fee": "Fee",
+  "report.column.net": "Net",
+  "report.column.note": "Note",
+  "report.column.enteredBy": "Entered by",
+  "report.column.balance": "Balance",
+  "report.noEntriesPeriod": "No entries for that period.",
+  "report.noEntriesDate": "No entries for that date.",
+  "report.caption": "Report for {period}",
+  "report.label": "report",
+  "report.categoryLabel": "#{category} report",
+  "report.hereIsLabel": "Here is your {label}.",
+  "report.hereIsLabelPeriod": "Here is your {label} for {period}.",
+  "report.hereIsPeriod": "Here is your report for {period}.",
+  "report.filterMember": "👥 Filter by member",
+  "report.back": "⬅️ Back",
+  "report.viewExpired": "This report has expired. Send it again to browse it.",
+  "history.title": "HISTORY",
+  "history.findTitle": "SEARCH RESULTS",
+  "history.allTime": "All time",
+  "history.none": "No matching entries.",
+  "history.truncated": "Only the latest {limit} entries are shown; narrow it down with a period.",
+  "history.caption": "History for {period}",
+  "history.usage":
+    "Usage: /history [@member|reply] [from] [to] [pdf|csv]. Dates as DDMMYYYY, or week/month (example: /history @alice 01102026 19102026).",
+  "find.usage": "Usage: /find <amount|text> [period] [pdf|csv] (example: /find 25,000 week)",
+
+  "wizard.today": "Today",
+  "wizard.yesterday": "Yesterday",
+  "wizard.pickDate": "📅 Pick date",
+  "wizard.pickRange": "📆 Pick range",
+  "wizard.cancel": "✖️ Cancel",
+  "wizard.allMembers": "👥 All members",
+  "wizard.format.text": "📝 Text",
+  "wizard.format.pdf": "📄 PDF",
+  "wizard.format.csv": "📊 CSV",
+  "wizard.choosePeriod": "Which day should the report cover?",
+  "wizard.chooseFormat": "Report for {period}. Choose a format:",
+  "wizard.chooseMember": "{format} report for {period}. Filter by member?",
+  "wizard.expired": "This report wizard has expired or belongs to someone else.",
+  "wizard.cancelled": "Report cancelled.",
+  "wizard.sendDate": "Send the date as DDMMYYYY (example: 27122025)",
+  "wizard.sendRange": "Send the range as DDMMYYYY-DDMMYYYY (example: 01122025-31122025)",
+  "wizard.preparing": "Preparing your report…",
+  "wizard.invalidDate": "Invalid date. Use DDMMYYYY (example: 27122025).",
+  "wizard.invalidRange": "Invalid range. Use DDMMYYYY-DDMMYYYY (example: 01122025-31122025).",
+
+  "permission.post": "update balances",
+  "permission.report": "view reports",
+  "permission.export": "export the ledger",
+  "permission.manage": "manage roles and settings",
+  "permission.audit": "view the audit log",
+
+  "roles.adminNotSet": "Balance admin not set. Use /setbalanceadmin as a chat admin.",
+  "roles.onlyBalanceAdmin": "Only the balance admin can update balances.",
+  "roles.onlyRoles": "Only {roles} roles can {action}.",
+  "roles.verifyFailed": "Could not verify admin status. Please try again.",
+  "roles.onlyManagers": "Only chat admins or owners can manage roles.",
+  "roles.onlyChatAdmins": "Only chat admins can set the balance admin.",
+  "roles.setAdminUsage": "Reply to a user's message or use /setbalanceadmin <user_id>.",
+  "roles.adminSet": "Balance admin set to {user}.",
+  "roles.addUsage": "Reply to a user's message or use /addoperator <user_id|@username> [{roles}].",
+  "roles.assigned": "{user} is now {role}.",
+  "roles.removeUsage": "Reply to a user's message or use /removeoperator <user_id|@username>.",
+  "roles.noRole": "That user has no role in this chat.",
+  "roles.lastOwner": "Cannot remove or demote the last owner. Assign another owner first.",
+  "roles.removed": "Removed {role} role from {user}.",
+  "roles.none": "No roles assigned. Use /setbalanceadmin as a chat admin.",
+  "roles.heading": "Roles:",
+
+  "pdf.usage":
+    "Usage: /pdf {usage}\nExamples: /pdf 27122025, /pdf 01122025-31122025, /pdf week, /pdf month 122025",
+
+  "balance.noEntries": "{name} has no balance entries yet.",
+  "balance.card": "💰 {name}\nBalance: {balance}\nUpdated: {updated}",
+  "balance.unknownMember": "Unknown member. Reply to their message or use /balance @username.",
+  "balance.usage": "Usage: /balance +number or /balance -number (example: /balance +10000)",
+  "balance.signedNumber": "Please provide a signed number. Example: /balance +10000 deposit #topup",
+  "balance.updated": "Balance updated.",
+  "balance.updateFailed": "Could not update balance right now. Please try again.",
+
+  "balances.title": "MEMBER BALANCES",
+  "balances.positive": "Positive",
+  "balances.negative": "Negative",
+  "balances.net": "NET",
+  "balances.none": "No member balances yet.",
+  "balances.caption": "Member balances",
+
+  "reconcile.clean": "Balances match the ledger for {members} members. No drift.",
+  "reconcile.fixed": "Fixed drift for {count} member(s):",
+  "reconcile.found": "Found drift for {count} member(s) (run /reconcile to fix):",
+  "reconcile.line": "{member}: stored {stored}, ledger {ledger} (drift {drift})",
+  "reconcile.failed": "Could not reconcile balances right now. Please try again.",
+  "close.usage": "Usage: /close [DDMMYYYY|today|yesterday] (one business day)",
+  "close.future": "That business day has not started yet.",
+  "close.done": "Closed {day}: opening {opening}, closing {closing}, {entries} entries.",
+  "close.reclosed": "Closed {day} again: opening {opening}, closing {closing}, {entries} entries (was {previous}).",
+  "close.failed": "Could not close the day right now. Please try again.",
+  "close.changedClosedDay": "Note: {day} is already closed. This change will be flagged in its reports.",
+
+  "void.alreadyVoided": "That entry was already voided.",
+  "void.done": "Voided {amount} for {member}.",
+  "void.nothingToUndo": "You have no entries left to undo.",
+  "void.undoFailed": "Could not undo the entry right now. Please try again.",
+  "void.usage": "Reply to the original +/- message with /void.",
+  "void.notAnEntry": "That message did not create a balance entry.",
+  "void.failed": "Could not void the entry right now. Please try again.",
+
+  "status.usage": "Reply to a member's message with * or **.",
+  "status.pendingNotice": "This payment has not yet received.",
+  "status.failedNotice": "This transaction has failed.",
+  "status.failed": "Could not update the transaction right now. Please try again.",
+  "status.markReceived": "✅ Mark received",
+  "status.notPending": "This entry is no longer pending.",
+  "status.receiveFailed": "Could not update the entry. Please try again.",
+  "status.received": "Marked as received.",
+  "status.receivedNotice": "Payment received.",
+
+  "edit.voided":
+    "Edited message is no longer a valid amount, so the {amount} entry for {member} was voided.",
+  "edit.amended": "Entry edited: {from} → {to} for {member}.",
+  "edit.failed": "Could not apply the edit right now. Please try again.",
+
+  "export.usage": "Usage: /export csv|xlsx [{usage}]\nExample: /export xlsx month 122025",
+  "export.caption": "Ledger export for {period}",
+
+  "fees.fixed": "{amount} fixed",
+  "fees.min": "min {amount}",
+  "fees.max": "max {amount}",
+  "fees.current":
+    "Fees:\nin: {in}\nout: {out}\nUsage: /setfee in|out <percent%|amount> [min N] [max N], or /setfee in|out off",
+  "fees.usage": "Usage: /setfee in|out <percent%|amount> [min N] [max N]",
+  "fees.invalid": "Invalid fee (use a dot for decimals). Examples: /setfee in 2%, /setfee out 1.5% min 500, /setfee in 1000",
+  "fees.updated": "Fee for {direction} entries: {rule}.",
+  "limits.current":
+    "Limits:\nsingle entry max: {max}\nconfirm above: {confirm}\nmember per day in/out: {memberIn} / {memberOut}\nchat per day in/out: {chatIn} / {chatOut}\nUsage: /setlimit max|confirm <amount|off>, /setlimit member|chat in|out <amount|off>",
+  "limits.usage": "Usage: /setlimit max|confirm <amount|off>, /setlimit member|chat in|out <amount|off>",
+  "limits.direction.in": "in",
+  "limits.direction.out": "out",
+  "limits.exceeded.max": "Not posted: {amount} for {name} is above the single entry limit of {limit}.",
+  "limits.exceeded.member": "Not posted: {amount} would bring {name} to {total} {direction} today, above the member limit of {limit}.",
+  "limits.exceeded.chat": "Not posted: {amount} would bring this chat to {total} {direction} today, above the daily limit of {limit}.",
+  "confirm.prompt": "{amount} for {name} is a large amount. Confirm within {minutes} min to post it.",
+  "confirm.editPrompt": "Changing this entry to {amount} for {name} needs confirmation. Confirm within {minutes} min to apply it.",
+  "confirm.confirm": "✅ Confirm",
+  "confirm.cancel": "❌ Cancel",
+  "confirm.confirmed": "✅ Confirmed {amount} for {name}.",
+  "confirm.cancelled": "❌ Cancelled {amount} for {name}. Nothing was posted.",
+  "confirm.expiredNotice": "⌛ {amount} for {name} was not confirmed in time. Nothing was posted.",
+  "confirm.expired": "This confirmation has expired.",
+  "confirm.notYours": "Only the person who posted this amount can confirm it.",
+  "fees.collectedTitle": "FEES COLLECTED",
+  "fees.in": "In (deposits)",
+  "fees.out": "Out (withdrawals)",
+  "fees.entriesWithFee": "Entries with fee",
+  "fees.total": "TOTAL FEES",
+
+  "language.current": "Language: {language}. Choose another:",
+  "language.set": "Language set to {language}.",
+  "language.unknown": "Unknown language. Use one of: {codes}.",
+  "timezone.current":
+    "Timezone: {timeZone} (now {now}). The business day starts at {cutoff}.\nUsage: /settimezone <Area/City> or /settimezone off",
+  "timezone.invalid": 'Unknown timezone "{value}". Use an IANA name such as Asia/Phnom_Penh or Asia/Bangkok.',
+  "timezone.set": "Timezone set to {timeZone}. Local time now: {now}.",
+  "cutoff.current":
+    "The business day starts at {cutoff} ({timeZone}).\nUsage: /setcutoff HH:MM or /setcutoff off",
+  "cutoff.usage": "Usage: /setcutoff HH:MM (example: /setcutoff 06:00), or /setcutoff off for midnight",
+  "cutoff.set": "The business day now starts at {cutoff}. Today is {today}.",
+
+  "enteredBy.current": "Entered-by column in reports: {state}.\nUsage: /enteredby on|off",
+  "enteredBy.usage": "Usage: /enteredby on|off",
+  "enteredBy.on": "on",
+  "enteredBy.off": "off",
+  "enteredBy.enabled": "Text and PDF reports now show who entered each line.",
+  "enteredBy.disabled": "Text and PDF reports no longer show who entered each line.",
+
+  "audit.heading": "🧾 Audit log",
+  "audit.headingPeriod": "🧾 Audit log · {period}",
+  "audit.none": "No audit entries found.",
+  "audit.showing": "Showing the latest {shown} of {total} entries. Narrow it with a period or @user.",
+  "audit.unknownActor": "Unknown user. Reply to their message or use /audit @username.",
+  "audit.action.balance.entry": "entry",
+  "audit.action.balance.reversal": "reversal",
+  "audit.action.balance.adjustment": "adjustment",
+  "audit.action.balance.reconcile": "reconcile",
+  "audit.action.entry.void": "void",
+  "audit.action.entry.edit": "edit",
+  "audit.action.entry.status": "status",
+  "audit.action.entry.rejected": "entry rejected (limit)",
+  "audit.action.entry.cancelled": "entry cancelled",
+  "audit.action.entry.expired": "entry expired unconfirmed",
+  "audit.action.role.set": "role set",
+  "audit.action.role.remove": "role removed",
+  "audit.action.settings": "settings",
+  "audit.action.schedule.set": "schedule set",
+  "audit.action.schedule.remove": "schedule removed",
+  "audit.action.day.close": "day closed",
+  "audit.action.export": "export",
+
+  "branding.heading": "Report branding:",
+  "branding.titleLabel": "Title",
+  "branding.companyLabel": "Company",
+  "branding.marginsLabel": "Margins",
+  "branding.letterheadLabel": "Letterhead",
+  "branding.watermarkLabel": "Watermark",
+  "branding.customPdf": "custom PDF",
+  "branding.customLogo": "custom logo",
+  "branding.usage": `Usage:
+/branding title <text>|off
+/branding company <text>|off
+/branding margins <top> <right> <bottom> <left>|off (px)
+/branding template   (then send the letterhead PDF)
+/branding logo       (then send the watermark image)
+/branding reset template|logo|all`,
+  "branding.sendTemplate": "Send the letterhead as a PDF document (A4, one page per report page).",
+  "branding.sendLogo": "Send the watermark logo as a photo or a PNG/JPEG file.",
+  "branding.reset": "Branding reset.",
+  "branding.updated": "Branding updated.",
+  "branding.invalidMargins":
+    "Invalid margins. Use four values in px (0-300), example: /branding margins 160 93 60 78",
+  "branding.templateNotPdf": "The letterhead must be a PDF document. Send it again.",
+  "branding.logoNotImage": "The logo must be a photo or a PNG/JPEG file. Send it again.",
+  "branding.tooLarge": "That file is too large (max 5 MB).",
+  "branding.unreadablePdf": "That PDF could not be read. Send another file.",
+  "branding.templateSaved": "✅ Letterhead saved. New PDF reports use it.",
+  "branding.logoSaved": "✅ Watermark logo saved. New PDF reports use it.",
+  "branding.saveFailed": "Could not save that file. Please try again.",
+
+  "schedule.kind.daily": "daily",
+  "schedule.kind.weekly": "weekly",
+  "schedule.kind.monthly": "monthly",
+  "schedule.when.daily": "every day",
+  "schedule.when.weekly": "every Sunday",
+  "schedule.when.monthly": "on the last day of each month",
+  "schedule.describe": "{kind}: {when} at {time} (next {next})",
+  "schedule.emptyReport": "Scheduled {kind} report for {period}: no entries.",
+  "schedule.caption": "Scheduled {kind} report for {period}",
+  "schedule.none":
+    "No scheduled reports. Usage: /schedule [daily|weekly|monthly] HH:MM or /schedule off [kind]",
+  "schedule.heading": "Scheduled reports:",
+  "schedule.offUsage": "Usage: /schedule off [daily|weekly|monthly]",
+  "schedule.removed": "Scheduled report removed.",
+  "schedule.notFound": "No matching scheduled report.",
+  "schedule.usage": "Usage: /schedule [daily|weekly|monthly] HH:MM (example: /schedule 23:59)",
+  "schedule.set": "Scheduled {kind} report at {time}. Next run: {next}.",
+};
+
+const km = {
+  "format.date": "{day}/{month}/{year}",
+
+  "common.groupOnly": "សូមប្រើពាក្យបញ្ជានេះក្នុងក្រុម 🙂",
+  "common.missingInfo": "ខ្វះព័ត៌មានក្រុម ឬអ្នកប្រើ។",
+  "common.user": "អ្នកប្រើ",
+  "common.unknown": "មិនស្គាល់",
+  "common.none": "គ្មាន",
+  "common.default": "លំនាំដើម",
+
+  "start.greeting": "សួស្តី! សាកល្បង /help ឬ /menu",
+  "help.text": `ពាក្យបញ្ជា៖
+- /calc <កន្សោម>      (ឧទាហរណ៍៖ /calc 1,250*4 + 10%)
+- /menu                (ប៊ូតុងអន្តរកម្ម)
+- /calculation          (បង្ហាញប៊ូតុងរបាយការណ៍)
+- /report [រយៈពេល] [#ប្រភេទ] (របាយការណ៍ពេញ លំនាំដើមថ្ងៃនេះ)
+- /history [@សមាជិក|reply] [ពី] [ដល់] [pdf|csv] (ប្រតិបត្តិការជាមួយកាលបរិច្ឆេទ ថ្មីបំផុតនៅចុងក្រោយ)
+- /find <ចំនួន|អត្ថបទ> [រយៈពេល] [pdf|csv] (ស្វែងរកតាមចំនួន កំណត់ចំណាំ #ប្រភេទ ឬសមាជិក)
+- /pdf <រយៈពេល>        (PDF តាមថ្ងៃ DDMMYYYY, ចន្លោះ DDMMYYYY-DDMMYYYY, week ឬ month MMYYYY)
+- /export csv|xlsx [រយៈពេល] (តារាងបញ្ជី លំនាំដើមថ្ងៃនេះ)
+- /schedule [daily|weekly|monthly] HH:MM (ផ្ញើរបាយការណ៍ PDF ដោយស្វ័យប្រវត្តិ; /schedule off ដើម្បីបញ្ឈប់)
+- /setfee in|out <ភាគរយ%|ចំនួន> [min N] [max N] (កម្រៃលើការដាក់/ដកប្រាក់; off ដើម្បីលុប)
+- /setlimit [max|confirm N] [member|chat in|out N] (ដែនកំណត់ប្រតិបត្តិការ; off ដើម្បីលុប)
+- /fees [រយៈពេល]       (កម្រៃដែលប្រមូលបាន លំនាំដើមថ្ងៃនេះ)
+- /branding             (ចំណងជើង ក្រុមហ៊ុន រឹម ក្បាលលិខិត PDF និងឡូហ្គោ)
+- /language [en|km|zh]  (ភាសាសម្រាប់ការឆ្លើយតប និងរបាយការណ៍)
+- /settimezone [Area/City] (ល្វែងម៉ោងសម្រាប់របាយការណ៍ និងម៉ោង ឧទាហរណ៍៖ Asia/Bangkok)
+- /setcutoff [HH:MM]    (ម៉ោងចាប់ផ្តើមថ្ងៃធ្វើការ ឧទាហរណ៍៖ 06:00)
+- /enteredby [on|off]   (បង្ហាញអ្នកបញ្ចូលនៃបន្ទាត់នីមួយៗក្នុងរបាយការណ៍អក្សរ និង PDF)
+- /reconcile [check]    (គណនាសមតុល្យឡើងវិញពីបញ្ជី និងរាយការណ៍ភាពខុសគ្នា)
+- /close [DDMMYYYY|yesterday] (បិទថ្ងៃធ្វើការ ការផ្លាស់ប្តូរក្រោយមកនឹងត្រូវសម្គាល់ក្នុងរបាយការណ៍)
+- /setbalanceadmin      (កំណត់ម្ចាស់ដែលអាចប្រើ + / - សមតុល្យ)
+- /addoperator [តួនាទី] (ឆ្លើយតប ឬ user_id/@username; តួនាទី៖ owner, operator, viewer, auditor)
+- /removeoperator       (ឆ្លើយតប ឬ user_id/@username)
+- /roles                (បញ្ជីតួនាទីក្នុងក្រុមនេះ)
+- /audit [period] [@user] (អ្នកណាបានកែសមតុល្យ ធាតុ តួនាទី ការកំណត់ និងអ្នកណាបាននាំចេញ)
+- /mybalance            (សមតុល្យរបស់អ្នក)
+- /balance @user        (សមតុល្យរបស់សមាជិក; ឬឆ្លើយតបដោយ /balance)
+- /balances [pdf]       (សមតុល្យសមាជិកទាំងអស់ តាមលំដាប់)
+- /ping
+- កែសមតុល្យ៖ /balance +ចំនួន ឬ /balance -ចំនួន (ឧទាហរណ៍៖ /balance +10000)
+- កន្សោម និងកំណត់ចំណាំ៖ +1250*4 ដាក់ប្រាក់ពី ABA #topup (ជាជម្រើស; ក្នុងការជជែក កំណត់ចំណាំត្រូវមាន #ប្រភេទ, /balance ទទួលកំណត់ចំណាំណាមួយ)
+- /undo                 (លុបចោលការបញ្ចូលចុងក្រោយរបស់អ្នក)
+- /void                 (ឆ្លើយតបសារ +/- ដើម្បីលុបចោលការបញ្ចូលនោះ)
+- ឆ្លើយតប * លើសារ +/- ដើម្បីសម្គាល់ថាបរាជ័យ, ** ដើម្បីសម្គាល់ថារង់ចាំ
+- ការកែសារ +/- នឹងកែការបញ្ចូល; កែទៅជាអក្សរនឹងលុបចោលវា
+- /wizard               (របាយការណ៍ជាជំហាន៖ រយៈពេល ទម្រង់ សមាជិក)
+- ប៊ូតុង៖ មើលរបាយការណ៍ បង្ហាញ 6 ចុងក្រោយ; មើលរបាយការណ៍ (PDF) ផ្ញើរបាយការណ៍ពេញ; របាយការណ៍ PDF តាមថ្ងៃ បើកជំនួយការ
+`,
+  "ping.pong": "pong ✅",
+
+  "calc.usage": "របៀបប្រើ៖ /calc <កន្សោម>\nឧទាហរណ៍៖ /calc (3,000 + 450) * 2 - 5%",
+  "calc.failed": 'មិនអាចគណនា "{expression}"៖ {reason}',
+  "calc.help":
+    "ផ្ញើ /calc ជាមួយ + - * / ( ) និង % ឧ. /calc 1,250*4 ឬ /calc 10,000 - 2%។ ការបញ្ចូលសមតុល្យក៏ទទួលកន្សោមដែរ៖ +1250*4",
+
+  "menu.calculator": "🧮 ម៉ាស៊ីនគិតលេខ",
+  "menu.viewReport": "📊 មើលរបាយការណ៍",
+  "menu.help": "ជំនួយ",
+  "menu.prompt": "ជ្រើសរើសសកម្មភាព៖",
+  "menu.helpHint": "សាកល្បង /calc 1250*4 ឬ /menu",
+
+  "keyboard.viewReport": "មើលរបាយការណ៍",
+  "keyboard.viewReportPdf": "📄 មើលរបាយការណ៍ (PDF)",
+  "keyboard.reportByDate": "📄 របាយការណ៍ PDF តាមថ្ងៃ",
+
+  "calculation.prompt": "ចុចប៊ូតុងដើម្បីមើលរបាយការណ៍៖",
+
+  "period.usage": "DDMMYYYY, DDMMYYYY-DDMMYYYY, week [DDMMYYYY] ឬ month [MMYYYY]",
+  "period.invalid":
+    "កាលបរិច្ឆេទមិនត្រឹមត្រូវ។ ប្រើ DDMMYYYY, DDMMYYYY-DDMMYYYY, week [DDMMYYYY] ឬ month [MMYYYY] (ឧទាហរណ៍៖ {example})។",
+
+  "report.title": "កំណត់ត្រាប្រតិបត្តិការ",
+  "report.dateLabel": "ថ្ងៃ",
+  "report.total": "សរុប",
+  "report.openingBalance": "សមតុល្យដើមគ្រា",
+  "report.closingBalance": "សមតុល្យចុងគ្រា",
+  "report.changedAfterClose": "បានផ្លាស់ប្តូរក្រោយពេលបិទថ្ងៃ",
+  "report.closedDrift": "{day} ត្រូវបានបិទនៅ {closed} ឥឡូវនេះគឺ {current}។",
+  "report.subtotal": "សរុបរង",
+  "report.gross": "សរុបដុល",
+  "report.fees": "កម្រៃ",
+  "report.feeInline": "កម្រៃ {fee}",
+  "report.voidMarker": "បានលុបចោល",
+  "report.failedMarker": "បរាជ័យ",
+  "report.pendingHeading": "កំពុងរង់ចាំ",
+  "report.pendingTotal": "សរុបកំពុងរង់ចាំ",
+  "report.categoriesHeading": "ប្រភេទ",
+  "report.uncategorized": "(គ្មាន)",
+  "report.entryCount": "{count} ការបញ្ចូល",
+  "report.membersHeading": "សមាជិក",
+  "report.membersDaily": "របាយការណ៍សមាជិកប្រចាំថ្ងៃ",
+  "report.membersRange": "របាយការណ៍សមាជិក",
+  "report.totalEntries": "ចំនួនការបញ្ចូលសរុប",
+  "report.totalAmount": "ចំនួនទឹកប្រាក់សរុប",
+  "report.column.member": "សមាជិក",
+  "report.column.time": "ម៉ោង",
+  "report.column.gross": "សរុបដុល",
+  "report.column.fee": "កម្រៃ",
+  "report.column.net": "សុទ្ធ",
+  "report.column.note": "កំណត់ចំណាំ",
+  "report.column.enteredBy": "អ្នកបញ្ចូល",
+  "report.column.balance": "សមតុល្យ",
+  "report.noEntriesPeriod": "គ្មានការបញ្ចូលសម្រាប់រយៈពេលនោះទេ។",
+  "report.noEntriesDate": "គ្មានការបញ្ចូលសម្រាប់ថ្ងៃនោះទេ។",
+  "report.caption": "របាយការណ៍សម្រាប់ {period}",
+  "report.label": "របាយការណ៍",
+  "report.categoryLabel": "របាយការណ៍ #{category}",
+  "report.hereIsLabel": "នេះជា{label}របស់អ្នក។",
+  "report.hereIsLabelPeriod": "នេះជា{label}របស់អ្នកសម្រាប់ {period}។",
+  "report.hereIsPeriod": "នេះជារបាយការណ៍របស់អ្នកសម្រាប់ {period}។",
+  "report.filterMember": "👥 ច្រោះតាមសមាជិក",
+  "report.back": "⬅️ ត្រឡប់ក្រោយ",
+  "report.viewExpired": "របាយការណ៍នេះផុតកំណត់ហើយ។ សូមផ្ញើម្តងទៀតដើម្បីមើល។",
+  "history.title": "ប្រវត្តិ",
+  "history.findTitle": "លទ្ធផលស្វែងរក",
+  "history.allTime": "គ្រប់ពេល",
+  "history.none": "គ្មានប្រតិបត្តិការត្រូវគ្នាទេ។",
+  "history.truncated": "បង្ហាញតែ {limit} ប្រតិបត្តិការចុងក្រោយប៉ុណ្ណោះ សូមបញ្ជាក់រយៈពេលដើម្បីបង្រួម។",
+  "history.caption": "ប្រវត្តិសម្រាប់ {period}",
+  "history.usage":
+    "របៀបប្រើ៖ /history [@សមាជិក|reply] [ពី] [ដល់] [pdf|csv]។ កាលបរិច្ឆេទជា DDMMYYYY ឬ week/month (ឧទាហរណ៍៖ /history @alice 01102026 19102026)។",
+  "find.usage": "របៀបប្រើ៖ /find <ចំនួន|អត្ថបទ> [រយៈពេល] [pdf|csv] (ឧទាហរណ៍៖ /find 25,000 week)",
+
+  "wizard.today": "ថ្ងៃនេះ",
+  "wizard.yesterday": "ម្សិលមិញ",
+  "wizard.pickDate": "📅 ជ្រើសថ្ងៃ",
+  "wizard.pickRange": "📆 ជ្រើសចន្លោះ",
+  "wizard.cancel": "✖️ បោះបង់",
+  "wizard.allMembers": "👥 សមាជិកទាំងអស់",
+  "wizard.format.text": "📝 អត្ថបទ",
+  "wizard.format.pdf": "📄 PDF",
+  "wizard.format.csv": "📊 CSV",
+  "wizard.choosePeriod": "តើរបាយការណ៍គួរគ្របដណ្តប់ថ្ងៃណា?",
+  "wizard.chooseFormat": "របាយការណ៍សម្រាប់ {period}។ ជ្រើសទម្រង់៖",
+  "wizard.chooseMember": "របាយការណ៍ {format} សម្រាប់ {period}។ ត្រងតាមសមាជិក?",
+  "wizard.expired": "ជំនួយការរបាយការណ៍នេះផុតកំណត់ ឬជារបស់អ្នកផ្សេង។",
+  "wizard.cancelled": "បានបោះបង់របាយការណ៍។",
+  "wizard.sendDate": "ផ្ញើថ្ងៃជា DDMMYYYY (ឧទាហរណ៍៖ 27122025)",
+  "wizard.sendRange": "ផ្ញើចន្លោះជា DDMMYYYY-DDMMYYYY (ឧទាហរណ៍៖ 01122025-31122025)",
+  "wizard.preparing": "កំពុងរៀបចំរបាយការណ៍របស់អ្នក…",
+  "wizard.invalidDate": "ថ្ងៃមិនត្រឹមត្រូវ។ ប្រើ DDMMYYYY (ឧទាហរណ៍៖ 27122025)។",
+  "wizard.invalidRange": "ចន្លោះមិនត្រឹមត្រូវ។ ប្រើ DDMMYYYY-DDMMYYYY (ឧទាហរណ៍៖ 01122025-31122025)។",
+
+  "permission.post": "កែសមតុល្យ",
+  "permission.report": "មើលរបាយការណ៍",
+  "permission.export": "នាំចេញបញ្ជី",
+  "permission.manage": "គ្រប់គ្រងតួនាទី និងការកំណត់",
+  "permission.audit": "មើលកំណត់ហេតុសវនកម្ម",
+
+  "roles.adminNotSet": "មិនទាន់កំណត់អ្នកគ្រប់គ្រងសមតុល្យ។ ប្រើ /setbalanceadmin ជាអ្នកគ្រប់គ្រងក្រុម។",
+  "roles.onlyBalanceAdmin": "មានតែអ្នកគ្រប់គ្រងសមតុល្យប៉ុណ្ណោះដែលអាចកែសមតុល្យ។",
+  "roles.onlyRoles": "មានតែតួនាទី {roles} ប៉ុណ្ណោះដែលអាច{action}។",
+  "roles.verifyFailed": "មិនអាចផ្ទៀងផ្ទាត់សិទ្ធិអ្នកគ្រប់គ្រងបានទេ។ សូមព្យាយាមម្តងទៀត។",
+  "roles.onlyManagers": "មានតែអ្នកគ្រប់គ្រងក្រុម ឬម្ចាស់ប៉ុណ្ណោះដែលអាចគ្រប់គ្រងតួនាទី។",
+  "roles.onlyChatAdmins": "មានតែអ្នកគ្រប់គ្រងក្រុមប៉ុណ្ណោះដែលអាចកំណត់អ្នកគ្រប់គ្រងសមតុល្យ។",
+  "roles.setAdminUsage": "ឆ្លើយតបសាររបស់អ្នកប្រើ ឬប្រើ /setbalanceadmin <user_id>។",
+  "roles.adminSet": "បានកំណត់អ្នកគ្រប់គ្រងសមតុល្យជា {user}។",
+  "roles.addUsage": "ឆ្លើយតបសាររបស់អ្នកប្រើ ឬប្រើ /addoperator <user_id|@username> [{roles}]។",
+  "roles.assigned": "{user} ឥឡូវជា {role}។",
+  "roles.removeUsage": "ឆ្លើយតបសាររបស់អ្នកប្រើ ឬប្រើ /removeoperator <user_id|@username>។",
+  "roles.noRole": "អ្នកប្រើនោះគ្មានតួនាទីក្នុងក្រុមនេះទេ។",
+  "roles.lastOwner": "មិនអាចដក ឬបន្ថយតួនាទីម្ចាស់ចុងក្រោយបានទេ។ សូមកំណត់ម្ចាស់ផ្សេងជាមុនសិន។",
+  "roles.removed": "បានដកតួនាទី {role} ពី {user}។",
+  "roles.none": "មិនទាន់មានតួនាទី។ ប្រើ /setbalanceadmin ជាអ្នកគ្រប់គ្រងក្រុម។",
+  "roles.heading": "តួនាទី៖",
+
+  "pdf.usage":
+    "របៀបប្រើ៖ /pdf {usage}\nឧទាហរណ៍៖ /pdf 27122025, /pdf 01122025-31122025, /pdf week, /pdf month 122025",
+
+  "balance.noEntries": "{name} មិនទាន់មានការបញ្ចូលសមតុល្យទេ។",
+  "balance.card": "💰 {name}\nសមតុល្យ៖ {balance}\nធ្វើបច្ចុប្បន្នភាព៖ {updated}",
+  "balance.unknownMember": "មិនស្គាល់សមាជិក។ ឆ្លើយតបសាររបស់គេ ឬប្រើ /balance @username។",
+  "balance.usage": "របៀបប្រើ៖ /balance +ចំនួន ឬ /balance -ចំនួន (ឧទាហរណ៍៖ /balance +10000)",
+  "balance.signedNumber": "សូមផ្តល់លេខដែលមានសញ្ញា។ ឧទាហរណ៍៖ /balance +10000 ដាក់ប្រាក់ #topup",
+  "balance.updated": "បានធ្វើបច្ចុប្បន្នភាពសមតុល្យ។",
+  "balance.updateFailed": "មិនអាចធ្វើបច្ចុប្បន្នភាពសមតុល្យនៅពេលនេះទេ។ សូមព្យាយាមម្តងទៀត។",
+
+  "balances.title": "សមតុល្យសមាជិក",
+  "balances.positive": "វិជ្ជមាន",
+  "balances.negative": "អវិជ្ជមាន",
+  "balances.net": "សុទ្ធ",
+  "balances.none": "មិនទាន់មានសមតុល្យសមាជិកទេ។",
+  "balances.caption": "សមតុល្យសមាជិក",
+
+  "reconcile.clean": "សមតុល្យត្រូវគ្នានឹងបញ្ជីសម្រាប់សមាជិក {members} នាក់។ គ្មានភាពខុសគ្នា។",
+  "reconcile.fixed": "បានកែភាពខុសគ្នាសម្រាប់សមាជិក {count} នាក់៖",
+  "reconcile.found": "រកឃើញភាពខុសគ្នាសម្រាប់សមាជិក {count} នាក់ (ប្រើ /reconcile ដើម្បីកែ)៖",
+  "reconcile.line": "{member}៖ បានរក្សាទុក {stored}, បញ្ជី {ledger} (ខុសគ្នា {drift})",
+  "reconcile.failed": "មិនអាចផ្ទៀងផ្ទាត់សមតុល្យនៅពេលនេះទេ។ សូមព្យាយាមម្តងទៀត។",
+  "close.usage": "របៀបប្រើ៖ /close [DDMMYYYY|today|yesterday] (ថ្ងៃធ្វើការមួយ)",
+  "close.future": "ថ្ងៃធ្វើការនោះមិនទាន់ចាប់ផ្តើមនៅឡើយទេ។",
+  "close.done": "បានបិទ {day}៖ ដើមគ្រា {opening} ចុងគ្រា {closing} ចំនួន {entries} ប្រតិបត្តិការ។",
+  "close.reclosed": "បានបិទ {day} ម្តងទៀត៖ ដើមគ្រា {opening} ចុងគ្រា {closing} ចំនួន {entries} ប្រតិបត្តិការ (ពីមុន {previous})។",
+  "close.failed": "មិនអាចបិទថ្ងៃនៅពេលនេះទេ។ សូមព្យាយាមម្តងទៀត។",
+  "close.changedClosedDay": "ចំណាំ៖ {day} ត្រូវបានបិទរួចហើយ។ ការផ្លាស់ប្តូរនេះនឹងត្រូវសម្គាល់ក្នុងរបាយការណ៍។",
+
+  "void.alreadyVoided": "ការបញ្ចូលនោះត្រូវបានលុបចោលរួចហើយ។",
+  "void.done": "បានលុបចោល {amount} សម្រាប់ {member}។",
+  "void.nothingToUndo": "អ្នកគ្មានការបញ្ចូលដែលត្រូវមិនធ្វើវិញទេ។",
+  "void.undoFailed": "មិនអាចមិនធ្វើការបញ្ចូលវិញនៅពេលនេះទេ។ សូមព្យាយាមម្តងទៀត។",
+  "void.usage": "ឆ្លើយតបសារ +/- ដើមដោយ /void។",
+  "void.notAnEntry": "សារនោះមិនបានបង្កើតការបញ្ចូលសមតុល្យទេ។",
+  "void.failed": "មិនអាចលុបចោលការបញ្ចូលនៅពេលនេះទេ។ សូមព្យាយាមម្តងទៀត។",
+
+  "status.usage": "ឆ្លើយតបសាររបស់សមាជិកដោយ * ឬ **។",
+  "status.pendingNotice": "ការទូទាត់នេះមិនទាន់ទទួលបានទេ។",
+  "status.failedNotice": "ប្រតិបត្តិការនេះបានបរាជ័យ។",
+  "status.failed": "មិនអាចធ្វើបច្ចុប្បន្នភាពប្រតិបត្តិការនៅពេលនេះទេ។ សូមព្យាយាមម្តងទៀត។",
+  "status.markReceived": "✅ សម្គាល់ថាបានទទួល",
+  "status.notPending": "ការបញ្ចូលនេះលែងរង់ចាំទៀតហើយ។",
+  "status.receiveFailed": "មិនអាចធ្វើបច្ចុប្បន្នភាពការបញ្ចូលបានទេ។ សូមព្យាយាមម្តងទៀត។",
+  "status.received": "បានសម្គាល់ថាបានទទួល។",
+  "status.receivedNotice": "បានទទួលការទូទាត់។",
+
+  "edit.voided": "សារដែលបានកែលែងជាចំនួនត្រឹមត្រូវ ដូច្នេះការបញ្ចូល {amount} សម្រាប់ {member} ត្រូវបានលុបចោល។",
+  "edit.amended": "បានកែការបញ្ចូល៖ {from} → {to} សម្រាប់ {member}។",
+  "edit.failed": "មិនអាចអនុវត្តការកែនៅពេលនេះទេ។ សូមព្យាយាមម្តងទៀត។",
+
+  "export.usage": "របៀបប្រើ៖ /export csv|xlsx [{usage}]\nឧទាហរណ៍៖ /export xlsx month 122025",
+  "export.caption": "ការនាំចេញបញ្ជីសម្រាប់ {period}",
+
+  "fees.fixed": "{amount} ថេរ",
+  "fees.min": "អប្បបរមា {amount}",
+  "fees.max": "អតិបរមា {amount}",
+  "fees.current":
+    "កម្រៃ៖\nចូល៖ {in}\nចេញ៖ {out}\nរបៀបប្រើ៖ /setfee in|out <ភាគរយ%|ចំនួន> [min N] [max N] ឬ /setfee in|out off",
+  "fees.usage": "របៀបប្រើ៖ /setfee in|out <ភាគរយ%|ចំនួន> [min N] [max N]",
+  "fees.invalid": "កម្រៃមិនត្រឹមត្រូវ (ប្រើចំណុចសម្រាប់ទសភាគ)។ ឧទាហរណ៍៖ /setfee in 2%, /setfee out 1.5% min 500, /setfee in 1000",
+  "fees.updated": "កម្រៃសម្រាប់ការបញ្ចូល {direction}៖ {rule}។",
+  "limits.current":
+    "ដែនកំណត់៖\nអតិបរមាក្នុងមួយប្រតិបត្តិការ៖ {max}\nត្រូវបញ្ជាក់លើសពី៖ {confirm}\nសមាជិកក្នុងមួយថ្ងៃ ចូល/ចេញ៖ {memberIn} / {memberOut}\nក្រុមក្នុងមួយថ្ងៃ ចូល/ចេញ៖ {chatIn} / {chatOut}\nរបៀបប្រើ៖ /setlimit max|confirm <ចំនួន|off>, /setlimit member|chat in|out <ចំនួន|off>",
+  "limits.usage": "របៀបប្រើ៖ /setlimit max|confirm <ចំនួន|off>, /setlimit member|chat in|out <ចំនួន|off>",
+  "limits.direction.in": "ចូល",
+  "limits.direction.out": "ចេញ",
+  "limits.exceeded.max": "មិនបានបញ្ចូល៖ {amount} សម្រាប់ {name} លើសដែនកំណត់មួយប្រតិបត្តិការ {limit}។",
+  "limits.exceeded.member": "មិនបានបញ្ចូល៖ {amount} នឹងធ្វើឲ្យ {name} មាន{direction} {total} ថ្ងៃនេះ លើសដែនកំណត់សមាជិក {limit}។",
+  "limits.exceeded.chat": "មិនបានបញ្ចូល៖ {amount} នឹងធ្វើឲ្យក្រុមនេះមាន{direction} {total} ថ្ងៃនេះ លើសដែនកំណត់ប្រចាំថ្ងៃ {limit}។",
+  "confirm.prompt": "{amount} សម្រាប់ {name} ជាចំនួនធំ។ សូមបញ្ជាក់ក្នុងរយៈពេល {minutes} នាទី ដើម្បីបញ្ចូល។",
+  "confirm.editPrompt": "ការកែប្រែប្រតិបត្តិការនេះទៅ {amount} សម្រាប់ {name} ត្រូវការការបញ្ជាក់។ សូមបញ្ជាក់ក្នុងរយៈពេល {minutes} នាទី ដើម្បីអនុវត្ត។",
+  "confirm.confirm": "✅ បញ្ជាក់",
+  "confirm.cancel": "❌ បោះបង់",
+  "confirm.confirmed": "✅ បានបញ្ជាក់ {amount} សម្រាប់ {name}។",
+  "confirm.cancelled": "❌ បានបោះបង់ {amount} សម្រាប់ {name}។ មិនមានអ្វីត្រូវបានបញ្ចូលទេ។",
+  "confirm.expiredNotice": "⌛ {amount} សម្រាប់ {name} មិនត្រូវបានបញ្ជាក់ទាន់ពេល។ មិនមានអ្វីត្រូវបានបញ្ចូលទេ។",
+  "confirm.expired": "ការបញ្ជាក់នេះផុតកំណត់ហើយ។",
+  "confirm.notYours": "មានតែអ្នកដែលបានបញ្ចូលចំនួននេះទេ ដែលអាចបញ្ជាក់បាន។",
+  "fees.collectedTitle": "កម្រៃដែលប្រមូលបាន",
+  "fees.in": "ចូល (ដាក់ប្រាក់)",
+  "fees.out": "ចេញ (ដកប្រាក់)",
+  "fees.entriesWithFee": "ការបញ្ចូលមានកម្រៃ",
+  "fees.total": "កម្រៃសរុប",
+
+  "language.current": "ភាសា៖ {language}។ ជ្រើសភាសាផ្សេង៖",
+  "language.set": "បានកំណត់ភាសាជា {language}។",
+  "language.unknown": "មិនស្គាល់ភាសា។ ប្រើមួយក្នុងចំណោម៖ {codes}។",
+  "timezone.current":
+    "ល្វែងម៉ោង៖ {timeZone} (ឥឡូវ {now})។ ថ្ងៃធ្វើការចាប់ផ្តើមម៉ោង {cutoff}។\nរបៀបប្រើ៖ /settimezone <Area/City> ឬ /settimezone off",
+  "timezone.invalid": 'មិនស្គាល់ល្វែងម៉ោង "{value}"។ ប្រើឈ្មោះ IANA ដូចជា Asia/Phnom_Penh ឬ Asia/Bangkok។',
+  "timezone.set": "បានកំណត់ល្វែងម៉ោងជា {timeZone}។ ម៉ោងក្នុងតំបន់ឥឡូវ៖ {now}។",
+  "cutoff.current": "ថ្ងៃធ្វើការចាប់ផ្តើមម៉ោង {cutoff} ({timeZone})។\nរបៀបប្រើ៖ /setcutoff HH:MM ឬ /setcutoff off",
+  "cutoff.usage": "របៀបប្រើ៖ /setcutoff HH:MM (ឧទាហរណ៍៖ /setcutoff 06:00) ឬ /setcutoff off សម្រាប់ពាក់កណ្តាលអធ្រាត្រ",
+  "cutoff.set": "ថ្ងៃធ្វើការឥឡូវចាប់ផ្តើមម៉ោង {cutoff}។ ថ្ងៃនេះគឺ {today}។",
+
+  "enteredBy.current": "ជួរឈរអ្នកបញ្ចូលក្នុងរបាយការណ៍៖ {state}។\nរបៀបប្រើ៖ /enteredby on|off",
+  "enteredBy.usage": "របៀបប្រើ៖ /enteredby on|off",
+  "enteredBy.on": "បើក",
+  "enteredBy.off": "បិទ",
+  "enteredBy.enabled": "របាយការណ៍អក្សរ និង PDF ឥឡូវបង្ហាញអ្នកបញ្ចូលនៃបន្ទាត់នីមួយៗ។",
+  "enteredBy.disabled": "របាយការណ៍អក្សរ និង PDF លែងបង្ហាញអ្នកបញ្ចូលនៃបន្ទាត់នីមួយៗ។",
+
+  "audit.heading": "🧾 កំណត់ហេតុសវនកម្ម",
+  "audit.headingPeriod": "🧾 កំណត់ហេតុសវនកម្ម · {period}",
+  "audit.none": "រកមិនឃើញកំណត់ហេតុសវនកម្មទេ។",
+  "audit.showing": "បង្ហាញ {shown} ចុងក្រោយក្នុងចំណោម {total}។ បន្ថែមរយៈពេល ឬ @user ដើម្បីបង្រួម។",
+  "audit.unknownActor": "មិនស្គាល់អ្នកប្រើ។ ឆ្លើយតបសាររបស់គេ ឬប្រើ /audit @username។",
+  "audit.action.balance.entry": "បញ្ចូល",
+  "audit.action.balance.reversal": "បញ្ច្រាស",
+  "audit.action.balance.adjustment": "កែតម្រូវ",
+  "audit.action.balance.reconcile": "ផ្ទៀងផ្ទាត់",
+  "audit.action.entry.void": "លុបចោល",
+  "audit.action.entry.edit": "កែសម្រួល",
+  "audit.action.entry.status": "ស្ថានភាព",
+  "audit.action.entry.rejected": "បដិសេធប្រតិបត្តិការ (ដែនកំណត់)",
+  "audit.action.entry.cancelled": "បោះបង់ប្រតិបត្តិការ",
+  "audit.action.entry.expired": "ប្រតិបត្តិការផុតកំណត់មិនបានបញ្ជាក់",
+  "audit.action.role.set": "កំណត់តួនាទី",
+  "audit.action.role.remove": "ដកតួនាទី",
+  "audit.action.settings": "ការកំណត់",
+  "audit.action.schedule.set": "កំណត់កាលវិភាគ",
+  "audit.action.schedule.remove": "ដកកាលវិភាគ",
+  "audit.action.day.close": "បិទថ្ងៃ",
+  "audit.action.export": "នាំចេញ",
+
+  "branding.heading": "ម៉ាករបាយការណ៍៖",
+  "branding.titleLabel": "ចំណងជើង",
+  "branding.companyLabel": "ក្រុមហ៊ុន",
+  "branding.marginsLabel": "រឹម",
+  "branding.letterheadLabel": "ក្បាលលិខិត",
+  "branding.watermarkLabel": "ស្នាមទឹក",
+  "branding.customPdf": "PDF ផ្ទាល់ខ្លួន",
+  "branding.customLogo": "ឡូហ្គោផ្ទាល់ខ្លួន",
+  "branding.usage": `របៀបប្រើ៖
+/branding title <អត្ថបទ>|off
+/branding company <អត្ថបទ>|off
+/branding margins <លើ> <ស្តាំ> <ក្រោម> <ឆ្វេង>|off (px)
+/branding template   (បន្ទាប់មកផ្ញើក្បាលលិខិត PDF)
+/branding logo       (បន្ទាប់មកផ្ញើរូបភាពស្នាមទឹក)
+/branding reset template|logo|all`,
+  "branding.sendTemplate": "ផ្ញើក្បាលលិខិតជាឯកសារ PDF (A4 មួយទំព័រក្នុងមួយទំព័ររបាយការណ៍)។",
+  "branding.sendLogo": "ផ្ញើឡូហ្គោស្នាមទឹកជារូបថត ឬឯកសារ PNG/JPEG។",
+  "branding.reset": "បានកំណត់ម៉ាកឡើងវិញ។",
+  "branding.updated": "បានធ្វើបច្ចុប្បន្នភាពម៉ាក។",
+  "branding.invalidMargins":
+    "រឹមមិនត្រឹមត្រូវ។ ប្រើតម្លៃបួនជា px (0-300) ឧទាហរណ៍៖ /branding margins 160 93 60 78",
+  "branding.templateNotPdf": "ក្បាលលិខិតត្រូវតែជាឯកសារ PDF។ សូមផ្ញើម្តងទៀត។",
+  "branding.logoNotImage": "ឡូហ្គោត្រូវតែជារូបថត ឬឯកសារ PNG/JPEG។ សូមផ្ញើម្តងទៀត។",
+  "branding.tooLarge": "ឯកសារនោះធំពេក (អតិបរមា 5 MB)។",
+  "branding.unreadablePdf": "មិនអាចអាន PDF នោះបានទេ។ សូមផ្ញើឯកសារផ្សេង។",
+  "branding.templateSaved": "✅ បានរក្សាទុកក្បាលលិខិត។ របាយការណ៍ PDF ថ្មីនឹងប្រើវា។",
+  "branding.logoSaved": "✅ បានរក្សាទុកឡូហ្គោស្នាមទឹក។ របាយការណ៍ PDF ថ្មីនឹងប្រើវា។",
+  "branding.saveFailed": "មិនអាចរក្សាទុកឯកសារនោះបានទេ។ សូមព្យាយាមម្តងទៀត។",
+
+  "schedule.kind.daily": "ប្រចាំថ្ងៃ",
+  "schedule.kind.weekly": "ប្រចាំសប្តាហ៍",
+  "schedule.kind.monthly": "ប្រចាំខែ",
+  "schedule.when.daily": "រៀងរាល់ថ្ងៃ",
+  "schedule.when.weekly": "រៀងរាល់ថ្ងៃអាទិត្យ",
+  "schedule.when.monthly": "នៅថ្ងៃចុងក្រោយនៃខែនីមួយៗ",
+  "schedule.describe": "{kind}៖ {when} ម៉ោង {time} (លើកក្រោយ {next})",
+  "schedule.emptyReport": "របាយការណ៍{kind}តាមកាលវិភាគសម្រាប់ {period}៖ គ្មានការបញ្ចូល។",
+  "schedule.caption": "របាយការណ៍{kind}តាមកាលវិភាគសម្រាប់ {period}",
+  "schedule.none":
+    "គ្មានរបាយការណ៍តាមកាលវិភាគ។ របៀបប្រើ៖ /schedule [daily|weekly|monthly] HH:MM ឬ /schedule off [kind]",
+  "schedule.heading": "របាយការណ៍តាមកាលវិភាគ៖",
+  "schedule.offUsage": "របៀបប្រើ៖ /schedule off [daily|weekly|monthly]",
+  "schedule.removed": "បានលុបរបាយការណ៍តាមកាលវិភាគ។",
+  "schedule.notFound": "គ្មានរបាយការណ៍តាមកាលវិភាគដែលត្រូវគ្នា។",
+  "schedule.usage": "របៀបប្រើ៖ /schedule [daily|weekly|monthly] HH:MM (ឧទាហរណ៍៖ /schedule 23:59)",
+  "schedule.set": "បានកំណត់របាយការណ៍{kind}ម៉ោង {time}។ លើកក្រោយ៖ {next}។",
+};
+
+const zh = {
+  "format.date": "{year}年{month}月{day}日",
+
+  "common.groupOnly": "请在群组中使用此命令 🙂",
+  "common.missingInfo": "缺少群组或用户信息。",
+  "common.user": "用户",
+  "common.unknown": "未知",
+  "common.none": "无",
+  "common.default": "默认",
+
+  "start.greeting": "你好！试试 /help 或 /menu",
+  "help.text": `命令：
+- /calc <表达式>        （例如：/calc 1,250*4 + 10%）
+- /menu                （交互按钮）
+- /calculation          （显示报表按钮）
+- /report [期间] [#分类] （完整报表，默认今天）
+- /history [@成员|回复] [开始] [结束] [pdf|csv] （带日期的记录，最新的在最后）
+- /find <金额|文字> [期间] [pdf|csv] （按金额、备注、#分类或成员搜索记录）
+- /pdf <期间>           （按日期 DDMMYYYY、区间 DDMMYYYY-DDMMYYYY、week 或 month MMYYYY 生成 PDF）
+- /export csv|xlsx [期间] （账本表格，默认今天）
+- /schedule [daily|weekly|monthly] HH:MM （自动发送 PDF 报表；/schedule off 停止）
+- /setfee in|out <百分比%|金额> [min N] [max N] （存款/取款手续费；off 清除）
+- /setlimit [max|confirm N] [member|chat in|out N] （交易限额；off 清除）
+- /fees [期间]          （已收手续费，默认今天）
+- /branding             （报表标题、公司、页边距、信头 PDF 和水印标志）
+- /language [en|km|zh]  （回复和报表的语言）
+- /settimezone [Area/City] （报表和时间使用的时区，例如：Asia/Bangkok）
+- /setcutoff [HH:MM]    （营业日开始时间，例如：06:00）
+- /enteredby [on|off]   （在文本和 PDF 报表中显示每行的录入人）
+- /reconcile [check]    （根据账本重建成员余额并报告差异）
+- /close [DDMMYYYY|yesterday] （冻结一个营业日，之后的修改会在报表中标记）
+- /setbalanceadmin      （指定可使用 + / - 余额的所有者）
+- /addoperator [角色]   （回复或 user_id/@username；角色：owner、operator、viewer、auditor）
+- /removeoperator       （回复或 user_id/@username）
+- /roles                （列出本群角色）
+- /audit [period] [@user] （谁修改了余额、记录、角色和设置，以及谁导出了数据）
+- /mybalance            （你的总余额）
+- /balance @user        （成员的总余额；或回复 /balance）
+- /balances [pdf]       （所有成员余额，已排序）
+- /ping
+- 更新余额：/balance +数字 或 /balance -数字（例如：/balance +10000）
+- 表达式和备注：+1250*4 ABA 存款 #topup（可选；在聊天中备注需带 #分类，/balance 可接受任意备注）
+- /undo                 （作废你最近一笔记录）
+- /void                 （回复 +/- 消息以作废该记录）
+- 回复 * 将 +/- 消息标记为失败，** 标记为待处理
+- 编辑 +/- 消息会更新记录；改成文字则作废该记录
+- /wizard               （分步报表：期间、格式、成员）
+- 按钮：查看报表 显示最近 6 笔；查看报表（PDF）发送完整报表；按日期生成 PDF 报表 打开向导
+`,
+  "ping.pong": "pong ✅",
+
+  "calc.usage": "用法：/calc <表达式>\n例如：/calc (3,000 + 450) * 2 - 5%",
+  "calc.failed": "无法计算 \"{expression}\"：{reason}",
+  "calc.help":
+    "发送 /calc 加 + - * / ( ) 和 %，例如 /calc 1,250*4 或 /calc 10,000 - 2%。余额记录也支持表达式：+1250*4",
+
+  "menu.calculator": "🧮 计算器",
+  "menu.viewReport": "📊 查看报表",
+  "menu.help": "帮助",
+  "menu.prompt": "请选择操作：",
+  "menu.helpHint": "试试 /calc 1250*4 或 /menu",
+
+  "keyboard.viewReport": "查看报表",
+  "keyboard.viewReportPdf": "📄 查看报表（PDF）",
+  "keyboard.reportByDate": "📄 按日期生成 PDF 报表",
+
+  "calculation.prompt": "点击按钮查看报表：",
+
+  "period.usage": "DDMMYYYY、DDMMYYYY-DDMMYYYY、week [DDMMYYYY] 或 month [MMYYYY]",
+  "period.invalid":
+    "日期无效。请使用 DDMMYYYY、DDMMYYYY-DDMMYYYY、week [DDMMYYYY] 或 month [MMYYYY]（例如：{example}）。",
+
+  "report.title": "交易记录",
+  "report.dateLabel": "日期",
+  "report.total": "合计",
+  "report.openingBalance": "期初余额",
+  "report.closingBalance": "期末余额",
+  "report.changedAfterClose": "在当天结账后被修改",
+  "report.closedDrift": "{day} 结账时为 {closed}，现在为 {current}。",
+  "report.subtotal": "小计",
+  "report.gross": "总额",
+  "report.fees": "手续费",
+  "report.feeInline": "手续费 {fee}",
+  "report.voidMarker": "已作废",
+  "report.failedMarker": "失败",
+  "report.pendingHeading": "待处理",
+  "report.pendingTotal": "待处理合计",
+  "report.categoriesHeading": "分类",
+  "report.uncategorized": "（无）",
+  "report.entryCount": "{count} 笔",
+  "report.membersHeading": "成员",
+  "report.membersDaily": "成员每日报表",
+  "report.membersRange": "成员报表",
+  "report.totalEntries": "总笔数",
+  "report.totalAmount": "总金额",
+  "report.column.member": "成员",
+  "report.column.time": "时间",
+  "report.column.gross": "总额",
+  "report.column.fee": "手续费",
+  "report.column.net": "净额",
+  "report.column.note": "备注",
+  "report.column.enteredBy": "录入人",
+  "report.column.balance": "余额",
+  "report.noEntriesPeriod": "该期间没有记录。",
+  "report.noEntriesDate": "该日期没有记录。",
+  "report.caption": "{period} 的报表",
+  "report.label": "报表",
+  "report.categoryLabel": "#{category} 报表",
+  "report.hereIsLabel": "这是你的{label}。",
+  "report.hereIsLabelPeriod": "这是你 {period} 的{label}。",
+  "report.hereIsPeriod": "这是你 {period} 的报表。",
+  "report.filterMember": "👥 按成员筛选",
+  "report.back": "⬅️ 返回",
+  "report.viewExpired": "此报表已过期，请重新发送后再浏览。",
+  "history.title": "历史记录",
+  "history.findTitle": "搜索结果",
+  "history.allTime": "全部时间",
+  "history.none": "没有匹配的记录。",
+  "history.truncated": "仅显示最近 {limit} 条记录，请指定期间缩小范围。",
+  "history.caption": "{period} 的历史记录",
+  "history.usage":
+    "用法：/history [@成员|回复] [开始] [结束] [pdf|csv]。日期格式 DDMMYYYY，或 week/month（例如：/history @alice 01102026 19102026）。",
+  "find.usage": "用法：/find <金额|文字> [期间] [pdf|csv]（例如：/find 25,000 week）",
+
+  "wizard.today": "今天",
+  "wizard.yesterday": "昨天",
+  "wizard.pickDate": "📅 选择日期",
+  "wizard.pickRange": "📆 选择区间",
+  "wizard.cancel": "✖️ 取消",
+  "wizard.allMembers": "👥 全部成员",
+  "wizard.format.text": "📝 文本",
+  "wizard.format.pdf": "📄 PDF",
+  "wizard.format.csv": "📊 CSV",
+  "wizard.choosePeriod": "报表应涵盖哪一天？",
+  "wizard.chooseFormat": "{period} 的报表。请选择格式：",
+  "wizard.chooseMember": "{period} 的{format}报表。按成员筛选？",
+  "wizard.expired": "此报表向导已过期或属于其他人。",
+  "wizard.cancelled": "已取消报表。",
+  "wizard.sendDate": "请按 DDMMYYYY 发送日期（例如：27122025）",
+  "wizard.sendRange": "请按 DDMMYYYY-DDMMYYYY 发送区间（例如：01122025-31122025）",
+  "wizard.preparing": "正在准备你的报表…",
+  "wizard.invalidDate": "日期无效。请使用 DDMMYYYY（例如：27122025）。",
+  "wizard.invalidRange": "区间无效。请使用 DDMMYYYY-DDMMYYYY（例如：01122025-31122025）。",
+
+  "permission.post": "更新余额",
+  "permission.report": "查看报表",
+  "permission.export": "导出账本",
+  "permission.manage": "管理角色和设置",
+  "permission.audit": "查看审计日志",
+
+  "roles.adminNotSet": "尚未设置余额管理员。请由群管理员使用 /setbalanceadmin。",
+  "roles.onlyBalanceAdmin": "只有余额管理员可以更新余额。",
+  "roles.onlyRoles": "只有 {roles} 角色可以{action}。",
+  "roles.verifyFailed": "无法验证管理员身份，请重试。",
+  "roles.onlyManagers": "只有群管理员或所有者可以管理角色。",
+  "roles.onlyChatAdmins": "只有群管理员可以设置余额管理员。",
+  "roles.setAdminUsage": "请回复用户的消息或使用 /setbalanceadmin <user_id>。",
+  "roles.adminSet": "余额管理员已设置为 {user}。",
+  "roles.addUsage": "请回复用户的消息或使用 /addoperator <user_id|@username> [{roles}]。",
+  "roles.assigned": "{user} 现在是 {role}。",
+  "roles.removeUsage": "请回复用户的消息或使用 /removeoperator <user_id|@username>。",
+  "roles.noRole": "该用户在本群没有角色。",
+  "roles.lastOwner": "不能移除或降级最后一位所有者。请先指定其他所有者。",
+  "roles.removed": "已移除 {user} 的 {role} 角色。",
+  "roles.none": "尚未分配角色。请由群管理员使用 /setbalanceadmin。",
+  "roles.heading": "角色：",
+
+  "pdf.usage":
+    "用法：/pdf {usage}\n例如：/pdf 27122025、/pdf 01122025-31122025、/pdf week、/pdf month 122025",
+
+  "balance.noEntries": "{name} 还没有余额记录。",
+  "balance.card": "💰 {name}\n余额：{balance}\n更新时间：{updated}",
+  "balance.unknownMember": "未知成员。请回复其消息或使用 /balance @username。",
+  "balance.usage": "用法：/balance +数字 或 /balance -数字（例如：/balance +10000）",
+  "balance.signedNumber": "请提供带正负号的数字。例如：/balance +10000 存款 #topup",
+  "balance.updated": "余额已更新。",
+  "balance.updateFailed": "暂时无法更新余额，请重试。",
+
+  "balances.title": "成员余额",
+  "balances.positive": "正数",
+  "balances.negative": "负数",
+  "balances.net": "净额",
+  "balances.none": "还没有成员余额。",
+  "balances.caption": "成员余额",
+
+  "reconcile.clean": "{members} 位成员的余额与账本一致，没有差异。",
+  "reconcile.fixed": "已修正 {count} 位成员的差异：",
+  "reconcile.found": "发现 {count} 位成员存在差异（运行 /reconcile 修正）：",
+  "reconcile.line": "{member}：已存 {stored}，账本 {ledger}（差异 {drift}）",
+  "reconcile.failed": "暂时无法核对余额，请重试。",
+  "close.usage": "用法：/close [DDMMYYYY|today|yesterday]（单个营业日）",
+  "close.future": "该营业日尚未开始。",
+  "close.done": "已结账 {day}：期初 {opening}，期末 {closing}，共 {entries} 笔。",
+  "close.reclosed": "已重新结账 {day}：期初 {opening}，期末 {closing}，共 {entries} 笔（之前为 {previous}）。",
+  "close.failed": "暂时无法结账，请稍后重试。",
+  "close.changedClosedDay": "注意：{day} 已结账，此修改将在其报表中被标记。",
+
+  "void.alreadyVoided": "该记录已作废。",
+  "void.done": "已作废 {member} 的 {amount}。",
+  "void.nothingToUndo": "你没有可撤销的记录。",
+  "void.undoFailed": "暂时无法撤销该记录，请重试。",
+  "void.usage": "请用 /void 回复原始的 +/- 消息。",
+  "void.notAnEntry": "该消息没有产生余额记录。",
+  "void.failed": "暂时无法作废该记录，请重试。",
+
+  "status.usage": "请用 * 或 ** 回复成员的消息。",
+  "status.pendingNotice": "此款项尚未收到。",
+  "status.failedNotice": "此交易已失败。",
+  "status.failed": "暂时无法更新该交易，请重试。",
+  "status.markReceived": "✅ 标记为已收到",
+  "status.notPending": "此记录已不再待处理。",
+  "status.receiveFailed": "无法更新该记录，请重试。",
+  "status.received": "已标记为已收到。",
+  "status.receivedNotice": "款项已收到。",
+
+  "edit.voided": "编辑后的消息不再是有效金额，{member} 的 {amount} 记录已作废。",
+  "edit.amended": "记录已修改：{member} 的 {from} → {to}。",
+  "edit.failed": "暂时无法应用此修改，请重试。",
+
+  "export.usage": "用法：/export csv|xlsx [{usage}]\n例如：/export xlsx month 122025",
+  "export.caption": "{period} 的账本导出",
+
+  "fees.fixed": "固定 {amount}",
+  "fees.min": "最低 {amount}",
+  "fees.max": "最高 {amount}",
+  "fees.current":
+    "手续费：\n收入：{in}\n支出：{out}\n用法：/setfee in|out <百分比%|金额> [min N] [max N]，或 /setfee in|out off",
+  "fees.usage": "用法：/setfee in|out <百分比%|金额> [min N] [max N]",
+  "fees.invalid": "手续费无效（小数请使用小数点）。例如：/setfee in 2%、/setfee out 1.5% min 500、/setfee in 1000",
+  "fees.updated": "{direction} 记录的手续费：{rule}。",
+  "limits.current":
+    "限额：\n单笔上限：{max}\n超过需确认：{confirm}\n成员每日收入/支出：{memberIn} / {memberOut}\n群组每日收入/支出：{chatIn} / {chatOut}\n用法：/setlimit max|confirm <金额|off>，/setlimit member|chat in|out <金额|off>",
+  "limits.usage": "用法：/setlimit max|confirm <金额|off>，/setlimit member|chat in|out <金额|off>",
+  "limits.direction.in": "收入",
+  "limits.direction.out": "支出",
+  "limits.exceeded.max": "未记账：{name} 的 {amount} 超过单笔上限 {limit}。",
+  "limits.exceeded.member": "未记账：{amount} 将使 {name} 今日{direction}达到 {total}，超过成员限额 {limit}。",
+  "limits.exceeded.chat": "未记账：{amount} 将使本群今日{direction}达到 {total}，超过每日限额 {limit}。",
+  "confirm.prompt": "{name} 的 {amount} 金额较大，请在 {minutes} 分钟内确认后记账。",
+  "confirm.editPrompt": "将此记录修改为 {name} 的 {amount} 需要确认，请在 {minutes} 分钟内确认后生效。",
+  "confirm.confirm": "✅ 确认",
+  "confirm.cancel": "❌ 取消",
+  "confirm.confirmed": "✅ 已确认 {name} 的 {amount}。",
+  "confirm.cancelled": "❌ 已取消 {name} 的 {amount}，未记账。",
+  "confirm.expiredNotice": "⌛ {name} 的 {amount} 未在时限内确认，未记账。",
+  "confirm.expired": "此确认已过期。",
+  "confirm.notYours": "只有录入该金额的人才能确认。",
+  "fees.collectedTitle": "已收手续费",
+  "fees.in": "收入（存款）",
+  "fees.out": "支出（取款）",
+  "fees.entriesWithFee": "含手续费的记录",
+  "fees.total": "手续费合计",
+
+  "language.current": "当前语言：{language}。选择其他语言：",
+  "language.set": "语言已设置为 {language}。",
+  "language.unknown": "未知语言。请使用：{codes}。",
+  "timezone.current":
+    "时区：{timeZone}（当前 {now}）。营业日从 {cutoff} 开始。\n用法：/settimezone <Area/City> 或 /settimezone off",
+  "timezone.invalid": "未知时区 \"{value}\"。请使用 IANA 名称，例如 Asia/Phnom_Penh 或 Asia/Bangkok。",
+  "timezone.set": "时区已设置为 {timeZone}。当地时间：{now}。",
+  "cutoff.current": "营业日从 {cutoff} 开始（{timeZone}）。\n用法：/setcutoff HH:MM 或 /setcutoff off",
+  "cutoff.usage": "用法：/setcutoff HH:MM（例如：/setcutoff 06:00），或 /setcutoff off 恢复为午夜",
+  "cutoff.set": "营业日现在从 {cutoff} 开始。今天是 {today}。",
+
+  "enteredBy.current": "报表中的录入人列：{state}。\n用法：/enteredby on|off",
+  "enteredBy.usage": "用法：/enteredby on|off",
+  "enteredBy.on": "开启",
+  "enteredBy.off": "关闭",
+  "enteredBy.enabled": "文本和 PDF 报表现在会显示每行的录入人。",
+  "enteredBy.disabled": "文本和 PDF 报表不再显示每行的录入人。",
+
+  "audit.heading": "🧾 审计日志",
+  "audit.headingPeriod": "🧾 审计日志 · {period}",
+  "audit.none": "没有找到审计记录。",
+  "audit.showing": "显示最近 {shown} 条，共 {total} 条。可按时间段或 @user 筛选。",
+  "audit.unknownActor": "未知用户。请回复其消息或使用 /audit @username。",
+  "audit.action.balance.entry": "记账",
+  "audit.action.balance.reversal": "冲销",
+  "audit.action.balance.adjustment": "调整",
+  "audit.action.balance.reconcile": "对账",
+  "audit.action.entry.void": "作废",
+  "audit.action.entry.edit": "编辑",
+  "audit.action.entry.status": "状态",
+  "audit.action.entry.rejected": "记录被拒绝（限额）",
+  "audit.action.entry.cancelled": "记录已取消",
+  "audit.action.entry.expired": "记录未确认已过期",
+  "audit.action.role.set": "设置角色",
+  "audit.action.role.remove": "移除角色",
+  "audit.action.settings": "设置",
+  "audit.action.schedule.set": "设置定时",
+  "audit.action.schedule.remove": "移除定时",
+  "audit.action.day.close": "结账",
+  "audit.action.export": "导出",
+
+  "branding.heading": "报表品牌：",
+  "branding.titleLabel": "标题",
+  "branding.companyLabel": "公司",
+  "branding.marginsLabel": "页边距",
+  "branding.letterheadLabel": "信头",
+  "branding.watermarkLabel": "水印",
+  "branding.customPdf": "自定义 PDF",
+  "branding.customLogo": "自定义标志",
+  "branding.usage": `用法：
+/branding title <文字>|off
+/branding company <文字>|off
+/branding margins <上> <右> <下> <左>|off (px)
+/branding template   （然后发送信头 PDF）
+/branding logo       （然后发送水印图片）
+/branding reset template|logo|all`,
+  "branding.sendTemplate": "请以 PDF 文件发送信头（A4，每页报表对应一页）。",
+  "branding.sendLogo": "请以照片或 PNG/JPEG 文件发送水印标志。",
+  "branding.reset": "品牌设置已重置。",
+  "branding.updated": "品牌设置已更新。",
+  "branding.invalidMargins": "页边距无效。请输入四个 px 值（0-300），例如：/branding margins 160 93 60 78",
+  "branding.templateNotPdf": "信头必须是 PDF 文件，请重新发送。",
+  "branding.logoNotImage": "标志必须是照片或 PNG/JPEG 文件，请重新发送。",
+  "branding.tooLarge": "文件太大（最大 5 MB）。",
+  "branding.unreadablePdf": "无法读取该 PDF，请发送其他文件。",
+  "branding.templateSaved": "✅ 信头已保存，新的 PDF 报表将使用它。",
+  "branding.logoSaved": "✅ 水印标志已保存，新的 PDF 报表将使用它。",
+  "branding.saveFailed": "无法保存该文件，请重试。",
+
+  "schedule.kind.daily": "每日",
+  "schedule.kind.weekly": "每周",
+  "schedule.kind.monthly": "每月",
+  "schedule.when.daily": "每天",
+  "schedule.when.weekly": "每周日",
+  "schedule.when.monthly": "每月最后一天",
+  "schedule.describe": "{kind}：{when} {time}（下次 {next}）",
+  "schedule.emptyReport": "{period} 的{kind}定时报表：没有记录。",
+  "schedule.caption": "{period} 的{kind}定时报表",
+  "schedule.none": "没有定时报表。用法：/schedule [daily|weekly|monthly] HH:MM 或 /schedule off [kind]",
+  "schedule.heading": "定时报表：",
+  "schedule.offUsage": "用法：/schedule off [daily|weekly|monthly]",
+  "schedule.removed": "定时报表已删除。",
+  "schedule.notFound": "没有匹配的定时报表。",
+  "schedule.usage": "用法：/schedule [daily|weekly|monthly] HH:MM（例如：/schedule 23:59）",
+  "schedule.set": "已设置{kind}报表，时间 {time}。下次运行：{next}。",
+};
+
+export const MESSAGES = { en, km, zh };